@@ -1,704 +1,5641 @@
 require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent: UndiciAgent, fetch: undiciFetch } = require('undici');
 const { BskyAgent, RichText } = require('@atproto/api');
+const WebSocket = require('ws');
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
 const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 
-// ---------------- CONFIG ----------------
+// ---------------- LOGGING ----------------
 
-const SPOTLIGHT_USER = process.env.SPOTLIGHT_USER || 'yourhandle.bsky.social';
-const SITE_API_URL = process.env.SPOTLIGHT_API_URL || ''; // e.g. https://spotlight.yourdomain.com
-
-const POST_INTERVAL = 10 * 60 * 1000;
-const CHECK_INTERVAL = 15 * 60 * 1000;
-const SEARCH_INTERVAL = 15 * 60 * 1000;
-const NETWORK_INTERVAL = 30 * 60 * 1000;
-const FOLLOWBACK_INTERVAL = 10 * 60 * 1000;
-const HEALTH_INTERVAL = 5 * 60 * 1000;
-const MAX_POST_AGE_MS = 3 * 24 * 60 * 60 * 1000; 
-
-const MAX_QUEUE = Number(process.env.MAX_QUEUE || 2000);
-const MAX_TEXT_LEN = 280; // Keep some safety; Bluesky supports ~300 but facets/linking can push it.
-
-const agent = new BskyAgent({ service: 'https://bsky.social' });
-
-// ---------------- DB ----------------
-
-const db = new sqlite3.Database('bot-state.db');
-const dbRun = promisify(db.run.bind(db));
-const dbGet = promisify(db.get.bind(db));
-const dbAll = promisify(db.all.bind(db));
-
-async function initDatabase() {
-  await dbRun(`
-    CREATE TABLE IF NOT EXISTS posted_uris (
-      uri TEXT PRIMARY KEY,
-      posted_at INTEGER
-    )
-  `);
-
-  await dbRun(`
-    CREATE TABLE IF NOT EXISTS followed_dids (
-      did TEXT PRIMARY KEY,
-      followed_at INTEGER
-    )
-  `);
-
-  await dbRun(`
-    CREATE TABLE IF NOT EXISTS post_queue (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      author TEXT,
-      author_did TEXT,
-      text TEXT,
-      uri TEXT UNIQUE,
-      timestamp INTEGER
-    )
-  `);
-
-  await dbRun(`
-    CREATE TABLE IF NOT EXISTS blocklist (
-      did TEXT PRIMARY KEY,
-      handle TEXT,
-      reason TEXT,
-      added_at INTEGER
-    )
-  `);
-
-  console.log('✅ Database initialized');
-}
+// 'json' writes one object per line for log shippers; 'text' is the classic console output
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+// Per-subsystem overrides, e.g. "discovery=warn,posting=debug"
+const LOG_LEVELS = process.env.LOG_LEVELS || '';
 
-async function isPosted(uri) {
-  const row = await dbGet('SELECT uri FROM posted_uris WHERE uri = ?', [uri]);
-  return !!row;
-}
+const LOG_LEVEL_RANK = { debug: 10, info: 20, warn: 30, error: 40 };
 
-async function markAsPosted(uri) {
-  await dbRun('INSERT OR IGNORE INTO posted_uris (uri, posted_at) VALUES (?, ?)', [uri, Date.now()]);
+function levelRank(level, fallback) {
+  return LOG_LEVEL_RANK[String(level).toLowerCase()] ?? fallback;
 }
 
-async function isFollowed(did) {
-  const row = await dbGet('SELECT did FROM followed_dids WHERE did = ?', [did]);
-  return !!row;
-}
+const defaultLogRank = levelRank(LOG_LEVEL, LOG_LEVEL_RANK.info);
+const subsystemLogRanks = new Map(
+  LOG_LEVELS.split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([subsystem, level]) => subsystem && LOG_LEVEL_RANK[String(level).toLowerCase()])
+    .map(([subsystem, level]) => [subsystem, levelRank(level)])
+);
 
-async function markAsFollowed(did) {
-  await dbRun('INSERT OR IGNORE INTO followed_dids (did, followed_at) VALUES (?, ?)', [did, Date.now()]);
-}
+// Each subsystem gets { debug, info, warn, error }(event, message, fields).
+// Text mode prints the message as before; JSON mode prints the event and fields too.
+// Named bot instances prefix text lines with [name] and add `instance` to JSON.
+function createLogger(subsystem, instance = null) {
+  const minRank = subsystemLogRanks.get(subsystem) ?? defaultLogRank;
+
+  const write = level => (event, message, fields = {}) => {
+    if (LOG_LEVEL_RANK[level] < minRank) return;
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    if (LOG_FORMAT !== 'json') {
+      stream.write(`${instance ? `[${instance}] ` : ''}${message}\n`);
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, ...(instance && { instance }), subsystem, event, msg: message };
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value !== undefined) entry[key] = value;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
 
-async function isBlocked(did) {
-  const row = await dbGet('SELECT did FROM blocklist WHERE did = ?', [did]);
-  return !!row;
+  return { debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error') };
 }
 
-async function addToBlocklist(did, handle, reason = 'user request') {
-  await dbRun(
-    'INSERT OR IGNORE INTO blocklist (did, handle, reason, added_at) VALUES (?, ?, ?, ?)',
-    [did, handle, reason, Date.now()]
-  );
-  console.log(`⛔ Blocked @${handle} (${reason})`);
+function errorFields(err) {
+  return { error: err?.message || String(err), code: err?.status ?? err?.code };
 }
 
-async function addToQueue(submission) {
-  // queue protection
-  const q = await getQueueSize();
-  if (q >= MAX_QUEUE) {
-    console.warn(`⚠️ Queue at cap (${MAX_QUEUE}). Skipping new enqueue.`);
-    return;
+// ---------------- INSTANCES ----------------
+
+// instances.json runs several spotlight accounts from one process. Each entry
+// is a set of the usual environment variables layered over .env; a value of
+// "$NAME" is read from the environment variable NAME, so passwords can stay
+// out of the file. Without the file there is one unnamed bot configured by .env.
+const INSTANCES_PATH = process.env.INSTANCES_PATH || path.join(__dirname, 'instances.json');
+
+// Every bot sends its XRPC calls through its own rateLimitedFetch, but
+// BskyAgent only takes one fetch handler for the whole process, so the
+// handler looks up the bot whose work is running.
+const baseFetchHandler = BskyAgent.fetch;
+const botContext = new AsyncLocalStorage();
+
+BskyAgent.configure({
+  fetch: (...args) => (botContext.getStore() || baseFetchHandler)(...args)
+});
+
+// File settings given in instances.json are relative to that file, not to the working directory
+const INSTANCE_PATH_SETTINGS = new Set([
+  'DB_PATH', 'CONFIG_PATH', 'JETSTREAM_REPLAY_FILE', 'SCHEDULE_PATH', 'FILTER_RULES_PATH',
+  'TOPICS_PATH', 'TOPIC_MODEL_PATH', 'TEMPLATES_DIR', 'WEBHOOKS_PATH'
+]);
+
+function loadInstances() {
+  if (!fs.existsSync(INSTANCES_PATH)) return null;
+
+  const raw = JSON.parse(fs.readFileSync(INSTANCES_PATH, 'utf8'));
+  if (!raw.instances || typeof raw.instances !== 'object' || Array.isArray(raw.instances)) {
+    throw new Error(`${INSTANCES_PATH}: "instances" must be an object of name -> settings`);
   }
 
-  try {
-    await dbRun(
-      'INSERT OR IGNORE INTO post_queue (author, author_did, text, uri, timestamp) VALUES (?, ?, ?, ?, ?)',
-      [submission.author, submission.authorDid, submission.text, submission.uri, submission.timestamp]
-    );
-  } catch (err) {
-    // ignore unique insert collisions
-    if (!String(err.message).includes('UNIQUE constraint')) throw err;
+  const instances = Object.entries(raw.instances).map(([name, settings]) => {
+    if (!/^[\w-]+$/.test(name)) throw new Error(`${INSTANCES_PATH}: instance name "${name}" must be letters, digits, - or _`);
+    const env = { ...process.env };
+    for (const [key, value] of Object.entries(settings || {})) {
+      const text = String(value);
+      env[key] = text.startsWith('$') ? process.env[text.slice(1)] || '' : text;
+      if (INSTANCE_PATH_SETTINGS.has(key) && env[key]) env[key] = path.resolve(path.dirname(INSTANCES_PATH), env[key]);
+    }
+    if (!env.BLUESKY_USERNAME) throw new Error(`${INSTANCES_PATH}: instance "${name}" needs BLUESKY_USERNAME`);
+    return { name, env };
+  });
+  if (!instances.length) throw new Error(`${INSTANCES_PATH}: no instances defined`);
+
+  // Settings inherited from .env must not make two bots share an account, database or port
+  for (const key of ['BLUESKY_USERNAME', 'DB_PATH', 'ADMIN_PORT']) {
+    const seen = new Map();
+    for (const { name, env } of instances) {
+      const value = key === 'DB_PATH' ? path.resolve(instanceDbPath(name, env)) : env[key];
+      if (!value || value === '0') continue;
+      if (seen.has(value)) throw new Error(`${INSTANCES_PATH}: instances "${seen.get(value)}" and "${name}" share ${key} ${value}`);
+      seen.set(value, name);
+    }
   }
+  return instances;
 }
 
-async function getNextFromQueue() {
-  return await dbGet('SELECT * FROM post_queue ORDER BY timestamp ASC LIMIT 1');
+// Dry run: it uses its own database unless DB_PATH is set (e.g. to a copy of bot-state.db)
+function instanceDbPath(name, env) {
+  const base = name ? `bot-state.${name}` : 'bot-state';
+  return env.DB_PATH || (env.DRY_RUN === 'true' ? `${base}.dry-run.db` : `${base}.db`);
 }
 
-async function removeFromQueue(id) {
-  await dbRun('DELETE FROM post_queue WHERE id = ?', [id]);
-}
+// ---------------- CONFIG ----------------
 
-async function getQueueSize() {
-  const row = await dbGet('SELECT COUNT(*) as count FROM post_queue');
-  return row?.count || 0;
-}
+// Every setting has a built-in default, can be set in config.json (or
+// CONFIG_PATH) under its name, and can be overridden by the environment
+// variable of the same name. Most settings reload on SIGHUP or when the file
+// changes; `restart` ones only take effect on the next start and `secret`
+// ones are hidden in /health. Credentials, DB_PATH, DRY_RUN and LOG_* stay
+// environment-only, and filter keywords live in the filter rules file.
+const COMMANDS = ['submit', 'withdraw', 'status', 'optout', 'optin', 'notify', 'help'];
 
-async function getStats() {
-  const posted = await dbGet('SELECT COUNT(*) as count FROM posted_uris');
-  const followed = await dbGet('SELECT COUNT(*) as count FROM followed_dids');
-  const blocked = await dbGet('SELECT COUNT(*) as count FROM blocklist');
-  const queued = await getQueueSize();
-  return {
-    posted: posted?.count || 0,
-    followed: followed?.count || 0,
-    blocked: blocked?.count || 0,
-    queued
-  };
-}
+// First word of a mention or DM -> command. COMMAND_ALIASES is merged over
+// this map, and a word mapped to null there is no longer a command.
+const DEFAULT_COMMAND_ALIASES = {
+  submit: 'submit',
+  withdraw: 'withdraw',
+  cancel: 'withdraw',
+  status: 'status',
+  optout: 'optout',
+  'opt-out': 'optout',
+  stop: 'optout',
+  unsubscribe: 'optout',
+  unfollow: 'optout',
+  optin: 'optin',
+  'opt-in': 'optin',
+  notify: 'notify',
+  help: 'help'
+};
 
-// ---------------- HELPERS ----------------
+const CONFIG_SCHEMA = [
+  { name: 'SPOTLIGHT_USER', type: 'string', default: 'yourhandle.bsky.social' },
+  { name: 'SEARCH_TERMS', type: 'list', default: ['#spotlight', '#promote', '#buildinpublic', '#indiehackers', '#indiedev', '#solopreneur'] },
+  { name: 'AUTO_APPROVE', type: 'boolean', default: false },
+  // words for mention/DM commands over the built-in ones, e.g. { "leave": "optout", "stop": null }
+  { name: 'COMMAND_ALIASES', type: 'aliases', default: DEFAULT_COMMAND_ALIASES },
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+  { name: 'POST_INTERVAL_MINUTES', type: 'number', default: 10, min: 1 },
+  { name: 'CHECK_INTERVAL_MINUTES', type: 'number', default: 15, min: 1 },
+  { name: 'SEARCH_INTERVAL_MINUTES', type: 'number', default: 15, min: 1 },
+  { name: 'NETWORK_INTERVAL_MINUTES', type: 'number', default: 30, min: 1 },
+  { name: 'FOLLOWBACK_INTERVAL_MINUTES', type: 'number', default: 10, min: 1 },
+  { name: 'FOLLOW_SYNC_INTERVAL_MINUTES', type: 'number', default: 360, min: 1 },
+  { name: 'HEALTH_INTERVAL_MINUTES', type: 'number', default: 5, min: 1 },
+  { name: 'OUTBOX_INTERVAL_MINUTES', type: 'number', default: 1, min: 0.5 },
+  { name: 'ENGAGEMENT_INTERVAL_MINUTES', type: 'number', default: 60, min: 1 },
+  { name: 'SCHEDULE_PATH', type: 'string', default: path.join(__dirname, 'schedule.json') },
 
-function convertAtUriToWebUrl(uri, authorHandle) {
-  try {
-    const parts = uri.split('/');
-    const postId = parts[parts.length - 1];
-    return `https://bsky.app/profile/${authorHandle}/post/${postId}`;
-  } catch {
-    return null;
+  { name: 'MAX_POST_AGE_DAYS', type: 'number', default: 3, min: 0.1 },
+  { name: 'MAX_QUEUE', type: 'integer', default: 2000, min: 1 },
+  { name: 'AUTHOR_COOLDOWN_DAYS', type: 'number', default: 7, min: 0 },
+  { name: 'TAG_DIVERSITY_WINDOW', type: 'integer', default: 2, min: 0 },
+  { name: 'QUEUE_EXPIRY_DAYS', type: 'number', default: 7, min: 0.1 },
+  { name: 'INGEST_MAX_PAGES', type: 'integer', default: 5, min: 1 },
+  { name: 'DUPLICATE_WINDOW_DAYS', type: 'number', default: 30, min: 0 },
+  { name: 'DUPLICATE_MAX_DISTANCE', type: 'integer', default: 8, min: 0, max: 64 },
+  { name: 'EXCLUDED_LABELS', type: 'list', default: ['!hide', '!warn', '!takedown', '!suspend', 'porn', 'sexual', 'nudity', 'graphic-media', 'gore', 'spam', 'impersonation', 'scam', 'intolerant', 'threat', 'rude', 'misleading'] },
+  { name: 'FILTER_RULES_PATH', type: 'string', default: path.join(__dirname, 'filter-rules.json') },
+  { name: 'LOG_FILTER_REJECTS', type: 'boolean', default: false },
+  { name: 'TOPICS_PATH', type: 'string', default: path.join(__dirname, 'topics.json') },
+  { name: 'TOPIC_MODEL_PATH', type: 'string', default: path.join(__dirname, 'topic-model.json') },
+
+  { name: 'LINK_CHECKS', type: 'boolean', default: true },
+  { name: 'LINK_TIMEOUT_SECONDS', type: 'number', default: 8, min: 1, max: 60 },
+  { name: 'LINK_MAX_REDIRECTS', type: 'integer', default: 5, min: 0, max: 20 },
+  { name: 'LINK_MAX_PER_POST', type: 'integer', default: 3, min: 1 },
+  { name: 'LINK_CACHE_HOURS', type: 'number', default: 24, min: 0 },
+  // extra domains to reject, to treat as shorteners, to exempt from the built-in
+  // lists, and to recognize as project hosts
+  { name: 'LINK_REJECT_DOMAINS', type: 'list', default: [] },
+  { name: 'LINK_SHORTENER_DOMAINS', type: 'list', default: [] },
+  { name: 'LINK_ALLOW_DOMAINS', type: 'list', default: [] },
+  { name: 'LINK_PROJECT_DOMAINS', type: 'list', default: [] },
+  // only for testing against a local server
+  { name: 'LINK_ALLOW_PRIVATE', type: 'boolean', default: false },
+
+  { name: 'TEMPLATES_DIR', type: 'string', default: path.join(__dirname, 'templates') },
+  { name: 'SPOTLIGHT_FOOTER', type: 'string', default: '#IndieSpotlight' },
+  { name: 'SPOTLIGHT_STYLE', type: 'enum', values: ['text', 'quote'], default: 'text' },
+  { name: 'SPOTLIGHT_LINK_CARDS', type: 'boolean', default: true },
+  // Bluesky's limit is 300 graphemes
+  { name: 'MAX_POST_GRAPHEMES', type: 'integer', default: 300, min: 100, max: 300 },
+
+  { name: 'FOLLOW_HOURLY_LIMIT', type: 'integer', default: 10, min: 0 },
+  { name: 'FOLLOW_DAILY_LIMIT', type: 'integer', default: 50, min: 0 },
+  { name: 'UNFOLLOW_AFTER_DAYS', type: 'number', default: 14, min: 0 },
+  { name: 'UNFOLLOW_DAILY_LIMIT', type: 'integer', default: 25, min: 0 },
+  { name: 'FOLLOW_MIN_POSTS', type: 'integer', default: 3, min: 0 },
+  { name: 'FOLLOW_MAX_FOLLOWS', type: 'integer', default: 5000, min: 1 },
+  { name: 'FOLLOW_MAX_RATIO', type: 'number', default: 10, min: 0.1 },
+
+  { name: 'SPOTLIGHT_API_URL', type: 'url', default: '' },
+  { name: 'SPOTLIGHT_API_SECRET', type: 'string', default: '', secret: true },
+  { name: 'WEBHOOKS_PATH', type: 'string', default: path.join(__dirname, 'webhooks.json') },
+  { name: 'OUTBOX_MAX_ATTEMPTS', type: 'integer', default: 8, min: 1 },
+  { name: 'OUTBOX_RETENTION_DAYS', type: 'number', default: 30, min: 0 },
+  { name: 'ENGAGEMENT_WINDOW_DAYS', type: 'number', default: 14, min: 1 },
+
+  { name: 'CHAT_ENABLED', type: 'boolean', default: false, restart: true },
+  { name: 'CHAT_SERVICE_URL', type: 'url', default: '' },
+  // the PDS/entryway that logs in and serves the AppView calls
+  { name: 'BLUESKY_SERVICE', type: 'url', default: 'https://bsky.social', restart: true },
+  { name: 'JETSTREAM_URL', type: 'string', default: '', restart: true },
+  { name: 'JETSTREAM_REPLAY_FILE', type: 'string', default: '', restart: true },
+  { name: 'ADMIN_PORT', type: 'integer', default: 0, min: 0, max: 65535, restart: true },
+  { name: 'ADMIN_HOST', type: 'string', default: '127.0.0.1', restart: true },
+  { name: 'ADMIN_TOKEN', type: 'string', default: '', secret: true },
+  { name: 'REQUIRE_APP_PASSWORD', type: 'boolean', default: false }
+];
+
+// Returns [value, error]. Environment values are strings; file values are JSON.
+function parseSetting(setting, raw, fromEnv) {
+  const { type } = setting;
+
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return [raw];
+    if (fromEnv && (raw === 'true' || raw === 'false')) return [raw === 'true'];
+    return [null, 'must be true or false'];
   }
-}
 
-// Conservative heuristic tags for the website
-function inferTag(text) {
-  const lower = (text || '').toLowerCase();
+  if (type === 'number' || type === 'integer') {
+    const value = fromEnv && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [null, 'must be a number'];
+    if (type === 'integer' && !Number.isInteger(value)) return [null, 'must be a whole number'];
+    if (setting.min !== undefined && value < setting.min) return [null, `must be at least ${setting.min}`];
+    if (setting.max !== undefined && value > setting.max) return [null, `must be at most ${setting.max}`];
+    return [value];
+  }
 
-  if (lower.includes('game') || lower.includes('steam') || lower.includes('itch.io') || lower.includes('unity') || lower.includes('unreal')) {
-    return 'indie-games';
+  if (type === 'list') {
+    const value = fromEnv && typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return [null, 'must be a list of strings'];
+    return [value.map(item => item.trim()).filter(Boolean)];
   }
-  if (lower.includes('startup') || lower.includes('mvp') || lower.includes('funding') || lower.includes('saas')) {
-    return 'indie-startups';
+
+  if (type === 'aliases') {
+    let value = raw;
+    if (fromEnv) {
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        return [null, 'must be a JSON object of word -> command'];
+      }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [null, 'must be an object of word -> command'];
+    const bad = Object.entries(value).find(([, command]) => command !== null && !COMMANDS.includes(command));
+    if (bad) return [null, `maps "${bad[0]}" to unknown command "${bad[1]}" (expected ${COMMANDS.join(', ')} or null)`];
+    const aliases = { ...setting.default };
+    for (const [word, command] of Object.entries(value)) {
+      if (command === null) delete aliases[word.toLowerCase()];
+      else aliases[word.toLowerCase()] = command;
+    }
+    return [aliases];
   }
-  return 'indie-software';
+
+  if (typeof raw !== 'string') return [null, 'must be a string'];
+  if (type === 'enum' && !setting.values.includes(raw)) return [null, `must be one of ${setting.values.join(', ')}`];
+  if (type === 'url' && raw && !/^https?:\/\/[^\s]+$/.test(raw)) return [null, 'must be an http(s) URL'];
+  return [raw];
 }
 
-function isPostTooOld(post) {
-  try {
-    // Posts have indexedAt timestamp from Bluesky
-    const postTime = post?.indexedAt || post?.record?.createdAt;
-    if (!postTime) return false; // If no timestamp, allow it through
-    
-    const postDate = new Date(postTime).getTime();
-    const now = Date.now();
-    const age = now - postDate;
-    
-    return age > MAX_POST_AGE_MS;
-  } catch (err) {
-    console.error('Error checking post age:', err.message);
-    return false; // If error, don't filter it out
+// Reads defaults < config file < environment and throws one error listing
+// every invalid value. Derived values (ms, the old constant names) are added.
+function loadConfig(env, file) {
+  let fileValues = {};
+  if (fs.existsSync(file)) {
+    try {
+      fileValues = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+      throw new Error(`${file}: must be a JSON object of setting -> value`);
+    }
   }
-}
 
-// ---------------- AUTH ----------------
+  const errors = Object.keys(fileValues)
+    .filter(name => !CONFIG_SCHEMA.some(setting => setting.name === name))
+    .map(name => `${file}: unknown setting ${name}`);
 
-async function login() {
-  try {
-    await agent.login({
-      identifier: process.env.BLUESKY_USERNAME,
-      password: process.env.BLUESKY_PASSWORD
-    });
-    console.log('✅ Logged in as:', process.env.BLUESKY_USERNAME);
-    return true;
-  } catch (err) {
-    console.error('❌ Login failed:', err.message);
-    return false;
+  const values = {};
+  for (const setting of CONFIG_SCHEMA) {
+    const fromEnv = env[setting.name] !== undefined && env[setting.name] !== '';
+    if (!fromEnv && fileValues[setting.name] === undefined) {
+      values[setting.name] = setting.default;
+      continue;
+    }
+    const raw = fromEnv ? env[setting.name] : fileValues[setting.name];
+    const [value, error] = parseSetting(setting, raw, fromEnv);
+    if (error) errors.push(`${fromEnv ? 'environment' : file}: ${setting.name} ${error} (got ${JSON.stringify(raw)})`);
+    values[setting.name] = value;
   }
+  if (errors.length) throw new Error(`Invalid config:\n  ${errors.join('\n  ')}`);
+
+  const minute = 60 * 1000;
+  const day = 24 * 60 * minute;
+  return {
+    ...values,
+    POST_INTERVAL: values.POST_INTERVAL_MINUTES * minute,
+    CHECK_INTERVAL: values.CHECK_INTERVAL_MINUTES * minute,
+    SEARCH_INTERVAL: values.SEARCH_INTERVAL_MINUTES * minute,
+    NETWORK_INTERVAL: values.NETWORK_INTERVAL_MINUTES * minute,
+    FOLLOWBACK_INTERVAL: values.FOLLOWBACK_INTERVAL_MINUTES * minute,
+    FOLLOW_SYNC_INTERVAL: values.FOLLOW_SYNC_INTERVAL_MINUTES * minute,
+    HEALTH_INTERVAL: values.HEALTH_INTERVAL_MINUTES * minute,
+    OUTBOX_INTERVAL: values.OUTBOX_INTERVAL_MINUTES * minute,
+    ENGAGEMENT_INTERVAL: values.ENGAGEMENT_INTERVAL_MINUTES * minute,
+    MAX_POST_AGE_MS: values.MAX_POST_AGE_DAYS * day,
+    AUTHOR_COOLDOWN_MS: values.AUTHOR_COOLDOWN_DAYS * day,
+    QUEUE_EXPIRY_MS: values.QUEUE_EXPIRY_DAYS * day,
+    DUPLICATE_WINDOW_MS: values.DUPLICATE_WINDOW_DAYS * day,
+    ENGAGEMENT_WINDOW_MS: values.ENGAGEMENT_WINDOW_DAYS * day,
+    OUTBOX_RETENTION_MS: values.OUTBOX_RETENTION_DAYS * day,
+    LINK_TIMEOUT_MS: values.LINK_TIMEOUT_SECONDS * 1000,
+    LINK_CACHE_MS: values.LINK_CACHE_HOURS * 60 * minute
+  };
 }
 
-// ---------------- FOLLOWING ----------------
+// The schema's settings only, secrets masked
+function describeConfig(config) {
+  return Object.fromEntries(CONFIG_SCHEMA.map(setting => [
+    setting.name,
+    setting.secret && config[setting.name] ? '***' : config[setting.name]
+  ]));
+}
 
-async function autoFollow(did) {
-  if (!did) return;
-  if (await isFollowed(did)) return;
+// Everything below belongs to one bot: its own agent, database, settings,
+// queue, schedule and admin API. `instance` is { name, env } from
+// instances.json, or nothing for the single bot configured by .env.
+function createBot(instance = {}) {
+  const INSTANCE_NAME = instance.name || null;
+  const env = instance.env || process.env;
 
-  try {
-    const profile = await agent.getProfile({ actor: did });
+  // ---------------- CONFIG ----------------
 
-    if (profile.data.viewer?.following) {
-      await markAsFollowed(did);
-      return;
-    }
+  // See CONFIG_SCHEMA; `config` is replaced as a whole on reload
+  const CONFIG_PATH = env.CONFIG_PATH || path.join(__dirname, 'config.json');
+  let config = loadConfig(env, CONFIG_PATH);
+  let configLoadedAt = Date.now();
 
-    console.log('➕ Following user:', profile.data.handle);
-    await agent.follow(did);
-    await markAsFollowed(did);
-    await sleep(1200);
-  } catch (err) {
-    console.error('Follow error:', err.message);
-  }
-}
+  // Swaps in the re-read config, keeping the current one if anything is invalid.
+  // Queue state lives in the database and is untouched.
+  function reloadConfig(reason) {
+    let next;
+    try {
+      next = loadConfig(env, CONFIG_PATH);
+    } catch (err) {
+      appLog.error('config.invalid', `❌ Config reload (${reason}) failed, keeping the current config: ${err.message}`, errorFields(err));
+      return false;
+    }
 
-async function followBack() {
-  try {
-    console.log('🔄 Running follow-back routine...');
-    const followers = await agent.getFollowers({
-      actor: process.env.BLUESKY_USERNAME,
-      limit: 100
-    });
+    const changed = CONFIG_SCHEMA.filter(setting =>
+      JSON.stringify(next[setting.name]) !== JSON.stringify(config[setting.name])
+    );
+    for (const setting of changed.filter(setting => setting.restart)) {
+      appLog.warn('config.restart_required', `⚠️ ${setting.name} changed; it takes effect after a restart`, { setting: setting.name });
+      next[setting.name] = config[setting.name];
+    }
 
-    for (const f of followers.data.followers) {
-      if (!(await isFollowed(f.did))) {
-        console.log('↩️ Following back:', f.handle);
-        await autoFollow(f.did);
+    config = next;
+    configLoadedAt = Date.now();
+    streamTagRegex = null;
+    for (const load of [loadSchedule, loadWebhooks]) {
+      try {
+        load();
+      } catch (err) {
+        appLog.error('config.reload_failed', `❌ ${err.message}`, errorFields(err));
       }
     }
-  } catch (err) {
-    console.error('Followback error:', err.message);
+
+    const names = changed.filter(setting => !setting.restart).map(setting => setting.name);
+    appLog.info('config.reloaded', `🔧 Config reloaded (${reason})${names.length ? `: ${names.join(', ')}` : ', nothing changed'}`, {
+      reason,
+      changed: names
+    });
+    return true;
   }
-}
 
-// ---------------- FILTERS ----------------
+  // Kept so shutdown only removes this bot's listener; other instances may watch the same file
+  let configListener = null;
 
-const PROMO_KEYWORDS = [
-  'launched', 'built this', 'made this', 'working on', 'side project',
-  'feedback welcome', 'check out my', 'just shipped', 'new project',
-  'my app', 'my game', 'my product', 'my startup'
-];
+  function watchConfigFile() {
+    configListener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) reloadConfig('file change');
+    };
+    fs.watchFile(CONFIG_PATH, { interval: 2000 }, configListener);
+  }
 
-const SPAM_PATTERNS = [
-  'cupom', 'precinho', 'amazon', 'iphone', 'playstation', 'nintendo',
-  'preço', 'oferta', 'desconto', 'compre', 'deal', 'sale', 'lumens',
-  'flashlight', 'rechargeable', 'camera -', 'wireless security',
-  'breaking:', 'breaking news', 'cbs', 'nbc', 'nba', 'nfl', 'sports',
-  'game highlights', 'watch:', 'video:', 'stream:', 'live now',
-  'laser', '3d print', 'journal', 'research paper', 'academic'
-];
+  // Dry run: discovery runs for real, but posts/follows/likes/site pushes are only journaled.
+  // Named instances default to bot-state.<name>.db.
+  const DRY_RUN = env.DRY_RUN === 'true';
+  const DB_PATH = instanceDbPath(INSTANCE_NAME, env);
 
-const BAD_CONTEXT = [
-  'buy now', 'order', 'purchase', 'shipping', 'delivery', 'battery',
-  'waterproof', 'warranty', 'research', 'study', 'paper', 'journal'
-];
+  // Queue scheduling: lanes are served in this order, each author gets at most one
+  // spotlight per cooldown, the last few tags are avoided, and old items expire.
+  const QUEUE_LANES = ['direct', 'spotlightUser', 'search', 'network'];
+
+  const CHAT_PROXY = 'did:web:api.bsky.chat#bsky_chat';
 
-function looksLikePromo(text) {
-  const lower = (text || '').toLowerCase();
+  const agent = new BskyAgent({
+    service: config.BLUESKY_SERVICE,
+    persistSession: (evt, session) => {
+      handleSessionEvent(evt, session).catch(err => authLog.error('session.persist_failed', `Session persist error: ${err.message}`, errorFields(err)));
+    }
+  });
 
-  if (SPAM_PATTERNS.some(spam => lower.includes(spam))) return false;
-  if (BAD_CONTEXT.some(bad => lower.includes(bad))) return false;
+  const appLog = createLogger('app', INSTANCE_NAME);
+  const dbLog = createLogger('db', INSTANCE_NAME);
+  const clientLog = createLogger('client', INSTANCE_NAME);
+  const authLog = createLogger('auth', INSTANCE_NAME);
+  const filterLog = createLogger('filters', INSTANCE_NAME);
+  const topicLog = createLogger('topics', INSTANCE_NAME);
+  const linkLog = createLogger('links', INSTANCE_NAME);
+  const moderationLog = createLogger('moderation', INSTANCE_NAME);
+  const queueLog = createLogger('queue', INSTANCE_NAME);
+  const followingLog = createLogger('following', INSTANCE_NAME);
+  const commandLog = createLogger('commands', INSTANCE_NAME);
+  const dmLog = createLogger('dm', INSTANCE_NAME);
+  const discoveryLog = createLogger('discovery', INSTANCE_NAME);
+  const streamLog = createLogger('stream', INSTANCE_NAME);
+  const postingLog = createLogger('posting', INSTANCE_NAME);
+  const outboxLog = createLogger('outbox', INSTANCE_NAME);
+  const eventLog = createLogger('events', INSTANCE_NAME);
+  const analyticsLog = createLogger('analytics', INSTANCE_NAME);
+  const scheduleLog = createLogger('schedule', INSTANCE_NAME);
+  const adminLog = createLogger('admin', INSTANCE_NAME);
 
-  const linkCount = (lower.match(/https?:\/\//g) || []).length;
-  if (linkCount > 2) return false;
-  if ((text || '').length < 20 && !lower.includes('#promote')) return false;
+  // ---------------- DB ----------------
 
-  if (lower.includes('#promote')) return true;
+  const db = new sqlite3.Database(DB_PATH);
+  const dbRun = promisify(db.run.bind(db));
+  const dbGet = promisify(db.get.bind(db));
+  const dbAll = promisify(db.all.bind(db));
 
-  if (lower.includes('#spotlight')) {
-    const hasDevContext = ['built', 'made', 'working on', 'project', 'app', 'game', 'website', 'startup', 'launch', 'feedback', 'beta']
-      .some(word => lower.includes(word));
-    if (hasDevContext) return true;
+  // Like dbRun, but resolves with { changes, lastID }
+  function dbRunResult(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
   }
 
-  if (lower.includes('#buildinpublic') || lower.includes('#indiehackers') ||
-      lower.includes('#indiedev') || lower.includes('#solopreneur')) {
+  // Older bot-state.db files predate some columns; add them in place.
+  // Resolves true when the column was added, so one-time data fixes can run with it
+  async function addColumnIfMissing(table, column, definition) {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    if (columns.some(c => c.name === column)) return false;
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
     return true;
   }
 
-  const hasLink = lower.includes('http://') || lower.includes('https://');
-  const keywordMatches = PROMO_KEYWORDS.filter(word => lower.includes(word));
-  return hasLink && keywordMatches.length >= 2;
-}
-
-// ---------------- WEBSITE PUSH ----------------
+  async function initDatabase() {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS posted_uris (
+        uri TEXT PRIMARY KEY,
+        posted_at INTEGER
+      )
+    `);
 
-async function sendSpotlightToSite(submission, postUrl) {
-  if (!SITE_API_URL) return;
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS followed_dids (
+        did TEXT PRIMARY KEY,
+        followed_at INTEGER
+      )
+    `);
+    // source is why we followed ('sync' = found on the account, never auto-unfollowed)
+    await addColumnIfMissing('followed_dids', 'handle', 'TEXT');
+    await addColumnIfMissing('followed_dids', 'source', 'TEXT');
+    await addColumnIfMissing('followed_dids', 'follow_uri', 'TEXT');
+    await addColumnIfMissing('followed_dids', 'followed_back', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing('followed_dids', 'last_interaction_at', 'INTEGER');
 
-  const tag = inferTag(submission.text);
+    // follow / unfollow / skip history, for budgets and not re-following
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS follow_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        did TEXT,
+        handle TEXT,
+        action TEXT,
+        source TEXT,
+        reason TEXT,
+        created_at INTEGER
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS follow_events_by_did ON follow_events (did, id)');
+    await dbRun('CREATE INDEX IF NOT EXISTS follow_events_by_time ON follow_events (action, created_at)');
 
-  try {
-    const resp = await fetch(`${SITE_API_URL}/api/spotlights`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        author_handle: submission.author,
-        author_did: submission.author_did,
-        content: submission.text,
-        post_url: postUrl,
-        tag
-      })
-    });
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS post_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        author TEXT,
+        author_did TEXT,
+        text TEXT,
+        uri TEXT UNIQUE,
+        timestamp INTEGER,
+        status TEXT DEFAULT 'pending',
+        reviewed_by TEXT,
+        review_reason TEXT,
+        reviewed_at INTEGER,
+        posted_at INTEGER,
+        priority INTEGER DEFAULT 0,
+        source TEXT,
+        score REAL,
+        score_rules TEXT,
+        author_display_name TEXT,
+        template TEXT,
+        cid TEXT,
+        embed TEXT,
+        lane TEXT,
+        tag TEXT
+      )
+    `);
 
-    if (resp.ok) {
-      console.log('🌐 Spotlight sent to site');
-    } else {
-      const t = await resp.text().catch(() => '');
-      console.error('🌐 Site API rejected spotlight:', resp.status, t.slice(0, 200));
+    // review lifecycle: pending -> approved/rejected -> posted
+    await addColumnIfMissing('post_queue', 'status', "TEXT DEFAULT 'pending'");
+    await addColumnIfMissing('post_queue', 'reviewed_by', 'TEXT');
+    await addColumnIfMissing('post_queue', 'review_reason', 'TEXT');
+    await addColumnIfMissing('post_queue', 'reviewed_at', 'INTEGER');
+    await addColumnIfMissing('post_queue', 'posted_at', 'INTEGER');
+    await addColumnIfMissing('post_queue', 'priority', 'INTEGER DEFAULT 0');
+    // filter explanation: where the post came from and which rules fired
+    await addColumnIfMissing('post_queue', 'source', 'TEXT');
+    await addColumnIfMissing('post_queue', 'score', 'REAL');
+    await addColumnIfMissing('post_queue', 'score_rules', 'TEXT');
+    await addColumnIfMissing('post_queue', 'author_display_name', 'TEXT');
+    await addColumnIfMissing('post_queue', 'template', 'TEXT');
+    // source post cid and embed metadata, for quote posts and link cards
+    await addColumnIfMissing('post_queue', 'cid', 'TEXT');
+    await addColumnIfMissing('post_queue', 'embed', 'TEXT');
+    await addColumnIfMissing('post_queue', 'lane', 'TEXT');
+    await addColumnIfMissing('post_queue', 'tag', 'TEXT');
+    // every topic with its weight and what matched (JSON); tag is the strongest one
+    await addColumnIfMissing('post_queue', 'tags', 'TEXT');
+    await migrateLegacyTags();
+    // the bot's own spotlight post, and the last status the author was DMed about
+    await addColumnIfMissing('post_queue', 'spotlight_uri', 'TEXT');
+    await addColumnIfMissing('post_queue', 'spotlight_cid', 'TEXT');
+    // the excerpt the spotlight quoted, so re-syncs send the site the same text
+    await addColumnIfMissing('post_queue', 'excerpt', 'TEXT');
+    await addColumnIfMissing('post_queue', 'notified_status', 'TEXT');
+    // content fingerprint (simhash), canonical outbound links and the original of a duplicate
+    await addColumnIfMissing('post_queue', 'fingerprint', 'TEXT');
+    await addColumnIfMissing('post_queue', 'canonical_links', 'TEXT');
+    await addColumnIfMissing('post_queue', 'duplicate_of', 'INTEGER');
+    // inspected outbound links: final URL, page title/description/image, project host
+    await addColumnIfMissing('post_queue', 'link_meta', 'TEXT');
+    // an outside link sent by direct message: there is no post, so uri stays NULL.
+    // Such links used to be stored in uri; they move over once, with the column.
+    if (await addColumnIfMissing('post_queue', 'link_url', 'TEXT')) {
+      await dbRun("UPDATE post_queue SET link_url = uri, uri = NULL WHERE uri NOT LIKE 'at://%'");
     }
-  } catch (err) {
-    console.error('🌐 Failed to send spotlight to site:', err.message);
-  }
-}
 
-// ---------------- DISCOVERY ----------------
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS blocklist (
+        did TEXT PRIMARY KEY,
+        handle TEXT,
+        reason TEXT,
+        added_at INTEGER
+      )
+    `);
 
-async function addPostIfRelevant(post, sourceLabel = 'search') {
-  const uri = post?.uri;
-  if (!uri) return;
-  if (await isPosted(uri)) return;
+    // per-source paging state: a resume cursor and/or the newest item already seen
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS ingest_cursors (
+        source TEXT PRIMARY KEY,
+        cursor TEXT,
+        high_water INTEGER,
+        updated_at INTEGER
+      )
+    `);
+    // newest item seen while a backlog below it is still being paged through
+    await addColumnIfMissing('ingest_cursors', 'backlog_high_water', 'INTEGER');
 
-  // NEW: Check post age
-  if (isPostTooOld(post)) {
-    console.log(`⏰ Skipped old post (>3 days) from @${post?.author?.handle || 'unknown'}`);
-    return;
-  }
+    // search results already weighed, by URI (search isn't ordered by time, so
+    // it has no high-water mark)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS search_seen (
+        uri TEXT PRIMARY KEY,
+        source TEXT,
+        seen_at INTEGER
+      )
+    `);
 
-  const text = post?.record?.text || post?.text || '';
-  if (!text) return;
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS bot_session (
+        identifier TEXT PRIMARY KEY,
+        did TEXT,
+        handle TEXT,
+        session TEXT,
+        updated_at INTEGER
+      )
+    `);
 
-  const authorHandle = post?.author?.handle || 'unknown';
-  const authorDid = post?.author?.did || 'unknown';
+    // authors who asked to hear about their submissions by direct message
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS dm_subscribers (
+        did TEXT PRIMARY KEY,
+        handle TEXT,
+        subscribed_at INTEGER
+      )
+    `);
 
-  if (await isBlocked(authorDid)) {
-    console.log(`⛔ Skipped blocked user: @${authorHandle}`);
-    return;
-  }
+    // posts kept out of the queue by moderation, and why
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS moderation_exclusions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uri TEXT,
+        author_did TEXT,
+        author_handle TEXT,
+        reason TEXT,
+        source TEXT,
+        created_at INTEGER
+      )
+    `);
 
-  // prevent self
-  const ownHandle = (process.env.BLUESKY_USERNAME || '').replace('.bsky.social', '');
-  if (authorHandle === ownHandle || authorHandle.includes(ownHandle)) {
-    return;
-  }
+    // outbound deliveries (website push), retried until delivered or given up
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target TEXT,
+        event TEXT,
+        queue_id INTEGER,
+        post_uri TEXT,
+        post_cid TEXT,
+        url TEXT,
+        payload TEXT,
+        idempotency_key TEXT UNIQUE,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_status INTEGER,
+        last_error TEXT,
+        created_at INTEGER,
+        delivered_at INTEGER
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS outbox_by_delivery ON outbox (status, delivered_at)');
 
-  if (looksLikePromo(text)) {
-    console.log(`✅ [${sourceLabel}] Queuing post from @${authorHandle}`);
-    console.log(`   Preview: ${(text || '').slice(0, 180).replace(/\n/g, ' ')}${text.length > 180 ? '…' : ''}`);
+    // periodic like/repost/reply/quote counts for each spotlight ('spotlight') and its source post ('original')
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS engagement_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        queue_id INTEGER,
+        subject TEXT,
+        uri TEXT,
+        likes INTEGER,
+        reposts INTEGER,
+        replies INTEGER,
+        quotes INTEGER,
+        collected_at INTEGER
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS engagement_by_item ON engagement_snapshots (queue_id, subject)');
 
-    await addToQueue({
-      author: authorHandle,
-      authorDid,
-      text,
-      uri,
-      timestamp: Date.now()
-    });
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS follower_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        followers INTEGER,
+        follows INTEGER,
+        posts INTEGER,
+        collected_at INTEGER
+      )
+    `);
 
-    await markAsPosted(uri);
-    await autoFollow(authorDid);
+    // inspected links by URL as found in posts
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS link_cache (
+        url TEXT PRIMARY KEY,
+        final_url TEXT,
+        status INTEGER,
+        verdict TEXT,
+        reason TEXT,
+        meta TEXT,
+        checked_at INTEGER
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS dry_run_journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT,
+        payload TEXT,
+        created_at INTEGER
+      )
+    `);
+
+    dbLog.info('db.ready', '✅ Database initialized', { path: DB_PATH });
   }
-}
 
-async function searchStartupPosts() {
-  try {
-    console.log('🔎 Searching community hashtags...');
-    const searchTerms = [
-      '#spotlight', '#promote', '#buildinpublic',
-      '#indiehackers', '#indiedev', '#solopreneur'
-    ];
+  async function isPosted(uri) {
+    const row = await dbGet('SELECT uri FROM posted_uris WHERE uri = ?', [uri]);
+    return !!row;
+  }
 
-    for (const keyword of searchTerms) {
-      try {
-        const resp = await agent.app.bsky.feed.searchPosts({
-          q: keyword,
-          limit: 15
-        });
+  async function markAsPosted(uri) {
+    await dbRun('INSERT OR IGNORE INTO posted_uris (uri, posted_at) VALUES (?, ?)', [uri, Date.now()]);
+  }
 
-        const posts = resp?.data?.posts || [];
-        console.log(`   Found ${posts.length} posts for "${keyword}"`);
+  async function isFollowed(did) {
+    const row = await dbGet('SELECT did FROM followed_dids WHERE did = ?', [did]);
+    return !!row;
+  }
 
-        for (const post of posts) {
-          await addPostIfRelevant(post, `search:${keyword}`);
-        }
+  // Inserts or refreshes a followed account; unknown fields keep their stored value
+  async function markAsFollowed(did, { handle = null, source = null, followUri = null, followedBack = null } = {}) {
+    await dbRun(
+      `INSERT INTO followed_dids (did, followed_at, handle, source, follow_uri, followed_back)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(did) DO UPDATE SET
+         handle = COALESCE(excluded.handle, handle),
+         follow_uri = COALESCE(excluded.follow_uri, follow_uri),
+         followed_back = COALESCE(excluded.followed_back, followed_back)`,
+      [did, Date.now(), handle, source, followUri, followedBack === null ? null : Number(followedBack)]
+    );
+  }
 
-        await sleep(1200);
-      } catch (err) {
-        console.error(`Search failed for "${keyword}":`, err.message);
-      }
-    }
+  async function removeFollowed(did) {
+    await dbRun('DELETE FROM followed_dids WHERE did = ?', [did]);
+  }
 
-    console.log(`📊 Search complete. Queue size: ${await getQueueSize()}`);
-  } catch (err) {
-    console.error('Search error:', err.message);
+  async function listFollowed() {
+    return await dbAll('SELECT * FROM followed_dids');
   }
-}
 
-async function searchFollowingNetwork() {
-  try {
-    console.log('🧭 Checking following network...');
-    const following = await agent.getFollows({
-      actor: process.env.BLUESKY_USERNAME,
-      limit: 50
-    });
+  // Only moves forward, and only for accounts we follow
+  async function recordInteraction(did, at = Date.now()) {
+    await dbRun(
+      'UPDATE followed_dids SET last_interaction_at = MAX(COALESCE(last_interaction_at, 0), ?) WHERE did = ?',
+      [at, did]
+    );
+  }
 
-    let checkedCount = 0;
+  async function recordFollowEvent(did, handle, action, source, reason = null) {
+    await dbRun(
+      'INSERT INTO follow_events (did, handle, action, source, reason, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [did, handle, action, source, reason, Date.now()]
+    );
+  }
 
-    for (const user of following.data.follows) {
-      try {
-        const feed = await agent.getAuthorFeed({
-          actor: user.did,
-          limit: 5
-        });
+  async function getLastFollowEvent(did) {
+    return await dbGet('SELECT * FROM follow_events WHERE did = ? ORDER BY id DESC LIMIT 1', [did]);
+  }
 
-        for (const feedItem of feed.data.feed) {
-          if (feedItem.post) {
-            await addPostIfRelevant(feedItem.post, `following:${user.handle}`);
-          }
-        }
+  async function countFollowEvents(action, since, source = null) {
+    const row = await dbGet(
+      `SELECT COUNT(*) as count FROM follow_events
+       WHERE action = ? AND created_at >= ?${source ? ' AND source = ?' : ''}`,
+      source ? [action, since, source] : [action, since]
+    );
+    return row?.count || 0;
+  }
 
-        checkedCount++;
-        await sleep(500);
-      } catch (err) {
-        console.error(`Error checking @${user.handle}:`, err.message);
-      }
-    }
+  // Followed by the bot before `before`, never followed back and quiet since
+  async function getUnfollowCandidates(before, limit) {
+    return await dbAll(
+      `SELECT * FROM followed_dids
+       WHERE COALESCE(source, 'sync') != 'sync' AND follow_uri IS NOT NULL
+         AND COALESCE(followed_back, 0) = 0 AND followed_at < ?
+         AND COALESCE(last_interaction_at, 0) < ?
+       ORDER BY followed_at ASC LIMIT ?`,
+      [before, before, limit]
+    );
+  }
 
-    console.log(`📊 Network search complete (checked ${checkedCount} users). Queue: ${await getQueueSize()}`);
-  } catch (err) {
-    console.error('Network search error:', err.message);
+  async function isBlocked(did) {
+    const row = await dbGet('SELECT did FROM blocklist WHERE did = ?', [did]);
+    return !!row;
   }
-}
 
-async function checkForSubmissions() {
-  try {
-    console.log('📨 Checking mentions & replies...');
-    const notifications = await agent.listNotifications({ limit: 50 });
-    let foundCount = 0;
-
-    for (const notif of notifications.data.notifications) {
-      const isRelevant = notif.reason === 'mention' || notif.reason === 'reply';
-      if (!isRelevant || !notif.record?.text) continue;
-
-      const text = notif.record.text;
-      const authorDid = notif.author.did;
-      const authorHandle = notif.author.handle;
-      const lowerText = text.toLowerCase();
-
-      // opt-out handling
-      if (
-        lowerText.includes('stop') || lowerText.includes('unfollow') ||
-        lowerText.includes('dont follow') || lowerText.includes("don't follow") ||
-        lowerText.includes('opt out') || lowerText.includes('remove me') ||
-        lowerText.includes('no bot') || lowerText.includes('unsubscribe')
-      ) {
-        await addToBlocklist(authorDid, authorHandle, 'user request');
-
-        // unfollow if currently following
-        try {
-          const profile = await agent.getProfile({ actor: authorDid });
-          if (profile.data.viewer?.following) {
-            await agent.deleteFollow(profile.data.viewer.following);
-            console.log(`🚫 Unfollowed @${authorHandle} per request`);
-          }
-        } catch (err) {
-          console.error('Unfollow error:', err.message);
-        }
+  async function addToBlocklist(did, handle, reason = 'user request') {
+    const result = await dbRunResult(
+      'INSERT OR IGNORE INTO blocklist (did, handle, reason, added_at) VALUES (?, ?, ?, ?)',
+      [did, handle, reason, Date.now()]
+    );
+    moderationLog.info('blocklist.added', `⛔ Blocked @${handle} (${reason})`, { did, handle, reason });
+    if (result.changes) await emitEvent('user.blocklisted', { did, handle, reason });
+  }
 
-        // polite reply
-        try {
-          await agent.post({
-            text: `@${authorHandle} Got it — I won’t feature or follow you. Sorry about that!`,
-            reply: {
-              root: { uri: notif.uri, cid: notif.cid },
-              parent: { uri: notif.uri, cid: notif.cid }
-            }
-          });
-        } catch (err) {
-          console.error('Reply error:', err.message);
-        }
+  async function removeFromBlocklist(did) {
+    const result = await dbRunResult('DELETE FROM blocklist WHERE did = ?', [did]);
+    return result.changes > 0;
+  }
 
-        continue;
-      }
+  async function listBlocklist() {
+    return await dbAll('SELECT * FROM blocklist ORDER BY added_at DESC');
+  }
 
-      if (await isPosted(notif.uri)) continue;
-      if (await isBlocked(authorDid)) continue;
+  async function addExclusion(uri, authorDid, authorHandle, reason, source) {
+    await dbRun(
+      'INSERT INTO moderation_exclusions (uri, author_did, author_handle, reason, source, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [uri, authorDid, authorHandle, reason, source, Date.now()]
+    );
+  }
 
-      if (lowerText.includes('#spotlight') || lowerText.includes('#promote') || looksLikePromo(text)) {
-        console.log(`✅ New submission from @${authorHandle}`);
-        await addToQueue({
-          author: authorHandle,
-          authorDid,
-          text,
-          uri: notif.uri,
-          timestamp: Date.now()
-        });
+  async function listExclusions(limit = 100) {
+    return await dbAll('SELECT * FROM moderation_exclusions ORDER BY id DESC LIMIT ?', [limit]);
+  }
 
-        await markAsPosted(notif.uri);
-        await autoFollow(authorDid);
-        foundCount++;
+  async function listPosted(limit = 100) {
+    return await dbAll('SELECT * FROM posted_uris ORDER BY posted_at DESC LIMIT ?', [limit]);
+  }
 
-        try {
-          await agent.like(notif.uri, notif.cid);
-        } catch (err) {
-          console.error('Like error:', err.message);
-        }
-      }
+  // Resolves with { duplicateOf } (the original's id or null), or null when the queue is full.
+  // Duplicates are kept as rejected rows pointing at the original.
+  async function addToQueue(submission) {
+    // queue protection
+    const q = await getQueueSize();
+    if (q >= config.MAX_QUEUE) {
+      queueLog.warn('queue.full', `⚠️ Queue at cap (${config.MAX_QUEUE}). Skipping new enqueue.`, {
+        uri: submission.uri,
+        queueSize: q,
+        source: submission.source
+      });
+      return null;
     }
 
-    // Spotlight user's feed
-    try {
-      const spotlightFeed = await agent.getAuthorFeed({
-        actor: SPOTLIGHT_USER,
-        limit: 30
+    const lane = laneForSource(submission.source);
+    const fingerprint = simhash(submission.text);
+    const links = canonicalLinks(submission);
+    const topics = classifyTopics(submission.text);
+    const duplicate = await findDuplicate(fingerprint, links);
+
+    let status = config.AUTO_APPROVE ? 'approved' : 'pending';
+    let reviewedBy = config.AUTO_APPROVE ? 'auto' : null;
+    let reviewReason = null;
+    if (duplicate) {
+      status = 'rejected';
+      reviewedBy = 'dedupe';
+      reviewReason = `duplicate of #${duplicate.row.id} (${duplicate.reason})`;
+      queueLog.info('queue.duplicate', `♻️ @${submission.author}'s post is a ${reviewReason}`, {
+        uri: submission.uri,
+        authorDid: submission.authorDid,
+        source: submission.source,
+        duplicateOf: duplicate.row.id
       });
+      await mergeDuplicate(duplicate.row, lane);
+    }
 
-      for (const feedItem of spotlightFeed.data.feed) {
-        if (feedItem.post) {
-          await addPostIfRelevant(feedItem.post, 'spotlightUser');
-        }
-      }
+    let result;
+    try {
+      result = await dbRunResult(
+        `INSERT OR IGNORE INTO post_queue
+           (author, author_did, text, uri, timestamp, status, reviewed_by, review_reason, reviewed_at, source, score,
+            score_rules, author_display_name, cid, embed, lane, tag, tags, fingerprint, canonical_links, duplicate_of,
+            link_meta, link_url)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          submission.author, submission.authorDid, submission.text, submission.uri, submission.timestamp,
+          status, reviewedBy, reviewReason, reviewedBy ? Date.now() : null,
+          submission.source || null, submission.score ?? null,
+          submission.scoreRules ? JSON.stringify(submission.scoreRules) : null,
+          submission.displayName || null,
+          submission.cid || null,
+          submission.embed ? JSON.stringify(submission.embed) : null,
+          lane,
+          topics.tag,
+          JSON.stringify(topics.tags),
+          fingerprint,
+          JSON.stringify(links),
+          duplicate ? duplicate.row.id : null,
+          submission.links?.length ? JSON.stringify(submission.links) : null,
+          submission.linkUrl || null
+        ]
+      );
     } catch (err) {
-      console.error('Spotlight user feed error:', err.message);
+      // ignore unique insert collisions
+      if (!String(err.message).includes('UNIQUE constraint')) throw err;
     }
 
-    console.log(`📬 Submissions check complete. Found ${foundCount}. Queue: ${await getQueueSize()}`);
-  } catch (err) {
-    console.error('Submission check error:', err.message);
+    if (result?.changes) {
+      const data = {
+        id: result.lastID,
+        author: submission.author,
+        authorDid: submission.authorDid,
+        uri: submission.uri,
+        link: submission.linkUrl || null,
+        source: submission.source || null,
+        text: submission.text
+      };
+      if (duplicate) await emitEvent('post.rejected', { ...data, reason: reviewReason, reviewer: 'dedupe' });
+      else await emitEvent('submission.queued', { ...data, lane, status, score: submission.score ?? null, tags: topics.tags.map(t => t.topic) });
+    }
+    return { duplicateOf: duplicate ? duplicate.row.id : null };
   }
-}
 
-// ---------------- POSTING ----------------
-
-function stripTags(text) {
-  return (text || '')
-    .replace(/#spotlight/gi, '')
-    .replace(/#promote/gi, '')
-    .replace(/#buildinpublic/gi, '')
-    .replace(/#indiehackers/gi, '')
-    .replace(/#indiedev/gi, '')
-    .replace(/#solopreneur/gi, '')
-    .trim();
-}
+  // Queued or spotlighted within the duplicate window, oldest first
+  async function getDedupeCandidates() {
+    return await dbAll(
+      `SELECT id, uri, author, status, lane, fingerprint, canonical_links FROM post_queue
+       WHERE status IN ('pending', 'approved', 'posted') AND COALESCE(posted_at, timestamp) >= ?
+       ORDER BY id ASC`,
+      [Date.now() - config.DUPLICATE_WINDOW_MS]
+    );
+  }
 
-function clampText(text, maxLen) {
-  if (!text) return '';
-  if (text.length <= maxLen) return text;
-  return text.slice(0, Math.max(0, maxLen - 3)) + '...';
-}
+  // A duplicate from a higher lane (e.g. the author mentioning the bot about a
+  // post search already found) lifts the original into that lane
+  async function mergeDuplicate(original, lane) {
+    if (!['pending', 'approved'].includes(original.status)) return;
+    if (QUEUE_LANES.indexOf(lane) >= QUEUE_LANES.indexOf(original.lane || 'search')) return;
+    await dbRun('UPDATE post_queue SET lane = ? WHERE id = ?', [lane, original.id]);
+  }
 
-async function postSpotlight() {
-  console.log('⏰ Post spotlight timer triggered');
+  // Manual priority first, then lane, then first-in, first-out. Rows from
+  // before lanes existed sort with the search lane.
+  const LANE_RANK_SQL = `CASE COALESCE(lane, 'search') ${QUEUE_LANES.map((lane, i) => `WHEN '${lane}' THEN ${i}`).join(' ')} ELSE ${QUEUE_LANES.length} END`;
+  const QUEUE_ORDER = `priority DESC, ${LANE_RANK_SQL}, timestamp ASC`;
 
-  const submission = await getNextFromQueue();
-  if (!submission) {
-    console.log('⏳ Queue empty, nothing to post');
-    return;
+  function laneForSource(sourceLabel = '') {
+    if (sourceLabel === 'mention' || sourceLabel === 'dm') return 'direct';
+    if (sourceLabel === 'spotlightUser') return 'spotlightUser';
+    if (sourceLabel.startsWith('following:')) return 'network';
+    return 'search';
   }
 
-  try {
-    console.log(`🌟 Spotlighting @${submission.author}`);
-
-    let cleanText = stripTags(submission.text);
+  async function withdrawAuthorSubmissions(did) {
+    const result = await dbRunResult(
+      "DELETE FROM post_queue WHERE author_did = ? AND status IN ('pending', 'approved')",
+      [did]
+    );
+    return result.changes;
+  }
 
-    const postUrl = convertAtUriToWebUrl(submission.uri, submission.author);
+  async function getAuthorQueueItems(did) {
+    return await dbAll(
+      "SELECT * FROM post_queue WHERE author_did = ? AND status IN ('pending', 'approved') ORDER BY timestamp ASC",
+      [did]
+    );
+  }
 
-    const templateOverhead =
-      '🌟 Spotlight: @'.length +
-      submission.author.length +
-      '\n\n'.length +
-      '\n\n👉 '.length +
-      (postUrl ? postUrl.length : 0) +
-      '\n\n#IndieSpotlight'.length;
+  async function getQueueItem(id) {
+    return await dbGet('SELECT * FROM post_queue WHERE id = ?', [id]);
+  }
 
-    const maxContent = Math.max(50, MAX_TEXT_LEN - templateOverhead);
-    cleanText = clampText(cleanText, maxContent);
+  async function isLinkQueued(url) {
+    return !!(await dbGet('SELECT id FROM post_queue WHERE link_url = ? LIMIT 1', [url]));
+  }
 
-    const spotlightText =
-      `🌟 Spotlight: @${submission.author}\n\n` +
-      `${cleanText}\n\n` +
-      (postUrl ? `👉 ${postUrl}\n\n` : '') +
-      `#IndieSpotlight`;
+  async function removeFromQueue(id) {
+    const result = await dbRunResult('DELETE FROM post_queue WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
 
-    // Try with facets, fallback without facets (fixes DID facet issues)
-    try {
-      const rt = new RichText({ text: spotlightText });
-      await rt.detectFacets(agent);
-      await agent.post({ text: rt.text, facets: rt.facets });
-    } catch (err) {
-      console.warn('⚠️ Facet post failed, retrying without facets:', err.message);
-      await agent.post({ text: spotlightText });
-    }
+  async function setQueuePriority(id, priority) {
+    const result = await dbRunResult('UPDATE post_queue SET priority = ? WHERE id = ?', [priority, id]);
+    return result.changes > 0;
+  }
 
-    console.log(`✅ Posted spotlight for @${submission.author}`);
+  async function markQueueItemPosted(id, template = null, spotlight = null, excerpt = null) {
+    await dbRun(
+      `UPDATE post_queue SET status = 'posted', posted_at = ?, template = ?, spotlight_uri = ?, spotlight_cid = ?, excerpt = ?
+       WHERE id = ?`,
+      [Date.now(), template, spotlight?.uri || null, spotlight?.cid || null, excerpt, id]
+    );
+  }
 
-    // Push to your website
-    if (postUrl) {
-      await sendSpotlightToSite(
-        {
-          author: submission.author,
-          author_did: submission.author_did,
-          text: cleanText
-        },
-        postUrl
-      );
-    }
+  async function reviewQueueItem(id, status, reviewer, reason = null) {
+    const item = await dbGet('SELECT * FROM post_queue WHERE id = ?', [id]);
+    if (!item) throw new Error(`Queue item ${id} not found`);
+    if (item.status === 'posted') throw new Error(`Queue item ${id} has already been posted`);
 
-    await removeFromQueue(submission.id);
+    await dbRun(
+      'UPDATE post_queue SET status = ?, reviewed_by = ?, review_reason = ?, reviewed_at = ? WHERE id = ?',
+      [status, reviewer, reason, Date.now(), id]
+    );
+    queueLog.info('queue.reviewed', `📝 Queue item ${id} ${status} by ${reviewer}${reason ? ` (${reason})` : ''}`, {
+      id,
+      uri: item.uri,
+      status,
+      reviewer,
+      reason
+    });
 
-    if (submission.author_did) {
-      await autoFollow(submission.author_did);
+    if (status === 'rejected') {
+      await emitEvent('post.rejected', {
+        id,
+        author: item.author,
+        authorDid: item.author_did,
+        uri: item.uri,
+        link: item.link_url,
+        source: item.source,
+        text: item.text,
+        reason: reason || 'rejected in review',
+        reviewer
+      });
     }
-  } catch (err) {
-    console.error('Post error:', err.message);
   }
-}
 
-// ---------------- HEALTH ----------------
+  async function approveQueueItem(id, reviewer, reason = null) {
+    await reviewQueueItem(id, 'approved', reviewer, reason);
+  }
 
-async function healthLog() {
-  try {
-    const stats = await getStats();
-    console.log(`💓 Health: posted=${stats.posted} followed=${stats.followed} blocked=${stats.blocked} queued=${stats.queued}`);
-  } catch (err) {
-    console.error('Health error:', err.message);
+  async function rejectQueueItem(id, reviewer, reason = null) {
+    await reviewQueueItem(id, 'rejected', reviewer, reason);
   }
-}
 
-// ---------------- SHUTDOWN ----------------
+  async function listQueue(status = null) {
+    if (status) {
+      return await dbAll(`SELECT * FROM post_queue WHERE status = ? ORDER BY ${QUEUE_ORDER}`, [status]);
+    }
+    return await dbAll(`SELECT * FROM post_queue ORDER BY ${QUEUE_ORDER}`);
+  }
 
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down...');
+  // Items still waiting to go out (pending review or approved)
+  async function getQueueSize() {
+    const row = await dbGet("SELECT COUNT(*) as count FROM post_queue WHERE status IN ('pending', 'approved')");
+    return row?.count || 0;
+  }
 
-  try {
-    await healthLog();
-  } catch {}
+  async function subscribeToDms(did, handle) {
+    await dbRun(
+      'INSERT OR IGNORE INTO dm_subscribers (did, handle, subscribed_at) VALUES (?, ?, ?)',
+      [did, handle, Date.now()]
+    );
+  }
 
-  db.close(err => {
-    if (err) console.error('DB close error:', err.message);
-    process.exit(0);
-  });
-});
+  async function unsubscribeFromDms(did) {
+    const result = await dbRunResult('DELETE FROM dm_subscribers WHERE did = ?', [did]);
+    return result.changes > 0;
+  }
 
-// ---------------- MAIN ----------------
+  // Approved or posted items whose author subscribed before the change and
+  // hasn't been told about it yet
+  async function getPendingDmNotifications(limit = 20) {
+    return await dbAll(
+      `SELECT q.*, s.handle AS subscriber_handle FROM post_queue q
+       JOIN dm_subscribers s ON s.did = q.author_did
+       WHERE q.status IN ('approved', 'posted')
+         AND (q.notified_status IS NULL OR q.notified_status != q.status)
+         AND COALESCE(q.posted_at, q.reviewed_at, q.timestamp) >= s.subscribed_at
+       ORDER BY q.id ASC LIMIT ?`,
+      [limit]
+    );
+  }
 
-async function main() {
-  console.log('🚀 Starting Community Spotlight Bot...');
+  async function markDmNotified(id, status) {
+    await dbRun('UPDATE post_queue SET notified_status = ? WHERE id = ?', [status, id]);
+  }
 
-  await initDatabase();
+  async function getIngestCursor(source) {
+    return (await dbGet('SELECT * FROM ingest_cursors WHERE source = ?', [source])) || {};
+  }
 
-  const loggedIn = await login();
-  if (!loggedIn) {
-    console.error('❌ Login failed. Exiting.');
-    return;
+  async function saveHighWater(source, highWater) {
+    await dbRun(
+      `INSERT INTO ingest_cursors (source, high_water, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(source) DO UPDATE SET high_water = excluded.high_water, updated_at = excluded.updated_at`,
+      [source, highWater, Date.now()]
+    );
   }
 
-  await healthLog();
+  // Paging state of a high-water source: while cursor is set, the items between
+  // it and high_water still have to be read, and backlogHighWater becomes the
+  // new high_water once they are
+  async function saveIngestState(source, { cursor, highWater, backlogHighWater }) {
+    await dbRun(
+      `INSERT INTO ingest_cursors (source, cursor, high_water, backlog_high_water, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(source) DO UPDATE SET cursor = excluded.cursor, high_water = excluded.high_water,
+         backlog_high_water = excluded.backlog_high_water, updated_at = excluded.updated_at`,
+      [source, cursor, highWater, backlogHighWater, Date.now()]
+    );
+  }
 
-  console.log(`👀 Watching for #spotlight and #promote`);
-  console.log(`⭐ Also monitoring @${SPOTLIGHT_USER}`);
-  if (SITE_API_URL) console.log(`🌐 Website push enabled: ${SITE_API_URL}`);
-  else console.log(`🌐 Website push disabled (set SPOTLIGHT_API_URL to enable)`);
+  async function savePageCursor(source, cursor) {
+    await dbRun(
+      `INSERT INTO ingest_cursors (source, cursor, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(source) DO UPDATE SET cursor = excluded.cursor, updated_at = excluded.updated_at`,
+      [source, cursor, Date.now()]
+    );
+  }
 
-  // Initial discovery burst
-  await checkForSubmissions();
-  await searchStartupPosts();
-  await searchFollowingNetwork();
+  async function unseenSearchPosts(posts) {
+    if (!posts.length) return [];
+    const uris = posts.map(post => post.uri);
+    const rows = await dbAll(`SELECT uri FROM search_seen WHERE uri IN (${uris.map(() => '?').join(', ')})`, uris);
+    const seen = new Set(rows.map(row => row.uri));
+    return posts.filter(post => post.uri && !seen.has(post.uri));
+  }
 
-  // Post immediately if queue already has items
-  const initialQueue = await getQueueSize();
-  if (initialQueue > 0) {
-    console.log(`📌 Initial queue has ${initialQueue} items — posting one now...`);
-    await postSpotlight();
+  async function markSearchSeen(uri, source) {
+    await dbRun('INSERT OR IGNORE INTO search_seen (uri, source, seen_at) VALUES (?, ?, ?)', [uri, source, Date.now()]);
   }
 
-  // Recurring work
-  setInterval(checkForSubmissions, CHECK_INTERVAL);
-  setInterval(searchStartupPosts, SEARCH_INTERVAL);
-  setInterval(searchFollowingNetwork, NETWORK_INTERVAL);
-  setInterval(postSpotlight, POST_INTERVAL);
-  setInterval(followBack, FOLLOWBACK_INTERVAL);
-  setInterval(healthLog, HEALTH_INTERVAL);
+  // Posts older than MAX_POST_AGE_DAYS are skipped anyway, so their URIs needn't be kept
+  async function pruneSearchSeen() {
+    await dbRun('DELETE FROM search_seen WHERE seen_at < ?', [Date.now() - config.MAX_POST_AGE_MS]);
+  }
 
-  console.log('✅ Bot is running');
-}
+  async function loadSession(identifier) {
+    const row = await dbGet('SELECT session FROM bot_session WHERE identifier = ?', [identifier]);
+    return row ? JSON.parse(row.session) : null;
+  }
+
+  async function saveSession(identifier, session) {
+    await dbRun(
+      `INSERT INTO bot_session (identifier, did, handle, session, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(identifier) DO UPDATE SET did = excluded.did, handle = excluded.handle,
+         session = excluded.session, updated_at = excluded.updated_at`,
+      [identifier, session.did, session.handle, JSON.stringify(session), Date.now()]
+    );
+  }
+
+  async function clearSession(identifier) {
+    await dbRun('DELETE FROM bot_session WHERE identifier = ?', [identifier]);
+  }
+
+  async function addToJournal(action, payload) {
+    const result = await dbRunResult(
+      'INSERT INTO dry_run_journal (action, payload, created_at) VALUES (?, ?, ?)',
+      [action, JSON.stringify(payload), Date.now()]
+    );
+    return result.lastID;
+  }
+
+  // Returns the new row's id, or null when the idempotency key is already queued
+  async function addToOutbox({ target, event, queueId = null, postUri = null, postCid = null, url, payload, key }) {
+    const result = await dbRunResult(
+      `INSERT OR IGNORE INTO outbox
+         (target, event, queue_id, post_uri, post_cid, url, payload, idempotency_key, status, next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+      [target, event, queueId, postUri, postCid, url, JSON.stringify(payload), key, Date.now(), Date.now()]
+    );
+    return result.changes ? result.lastID : null;
+  }
+
+  async function getDueOutboxItems(limit = 20) {
+    const rows = await dbAll(
+      "SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id ASC LIMIT ?",
+      [Date.now(), limit]
+    );
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  async function recordOutboxAttempt(id, { status, attempts, nextAttemptAt = null, httpStatus = null, error = null }) {
+    await dbRun(
+      `UPDATE outbox SET status = ?, attempts = ?, next_attempt_at = ?, last_status = ?, last_error = ?,
+         delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+       WHERE id = ?`,
+      [status, attempts, nextAttemptAt, httpStatus, error, status, Date.now(), id]
+    );
+  }
+
+  // Queue a delivered or failed item for another round of attempts, with a
+  // fresh payload when one is given (a re-sync after topics were corrected)
+  async function replayOutboxItem(id, payload = null) {
+    const result = payload
+      ? await dbRunResult(
+        "UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL, payload = ? WHERE id = ?",
+        [Date.now(), JSON.stringify(payload), id]
+      )
+      : await dbRunResult(
+        "UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL WHERE id = ?",
+        [Date.now(), id]
+      );
+    return result.changes > 0;
+  }
+
+  // Delivered rows are only kept for replays; failed ones stay until someone looks at them
+  async function pruneOutbox() {
+    if (!config.OUTBOX_RETENTION_MS) return 0;
+    const result = await dbRunResult(
+      "DELETE FROM outbox WHERE status = 'delivered' AND delivered_at < ?",
+      [Date.now() - config.OUTBOX_RETENTION_MS]
+    );
+    return result.changes;
+  }
+
+  async function listOutbox(status = null, limit = 100) {
+    const rows = status
+      ? await dbAll('SELECT * FROM outbox WHERE status = ? ORDER BY id DESC LIMIT ?', [status, limit])
+      : await dbAll('SELECT * FROM outbox ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  async function getOutboxCounts() {
+    const rows = await dbAll('SELECT status, COUNT(*) as count FROM outbox GROUP BY status');
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  async function getSpotlightsPostedSince(since) {
+    return await dbAll(
+      "SELECT * FROM post_queue WHERE status = 'posted' AND posted_at >= ? ORDER BY posted_at ASC",
+      [since]
+    );
+  }
+
+  async function addEngagementSnapshot(queueId, subject, uri, counts) {
+    await dbRun(
+      `INSERT INTO engagement_snapshots (queue_id, subject, uri, likes, reposts, replies, quotes, collected_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [queueId, subject, uri, counts.likes, counts.reposts, counts.replies, counts.quotes, Date.now()]
+    );
+  }
+
+  // First or latest snapshot per (queue item, subject), keyed "<queue_id>:<subject>"
+  async function getEngagementSnapshots(which = 'latest') {
+    const pick = which === 'first' ? 'MIN' : 'MAX';
+    const rows = await dbAll(
+      `SELECT e.* FROM engagement_snapshots e
+       JOIN (SELECT ${pick}(id) AS id FROM engagement_snapshots GROUP BY queue_id, subject) picked ON picked.id = e.id`
+    );
+    return new Map(rows.map(row => [`${row.queue_id}:${row.subject}`, row]));
+  }
+
+  async function addFollowerSnapshot({ followers, follows, posts }) {
+    await dbRun(
+      'INSERT INTO follower_snapshots (followers, follows, posts, collected_at) VALUES (?, ?, ?, ?)',
+      [followers, follows, posts, Date.now()]
+    );
+  }
+
+  async function getFollowerSnapshotsSince(since) {
+    return await dbAll('SELECT * FROM follower_snapshots WHERE collected_at >= ? ORDER BY collected_at ASC', [since]);
+  }
+
+  // The report only compares the first and latest engagement snapshot of each
+  // post, and charts one follower count per day (the day's last), so the
+  // snapshots in between are dropped once they can't be the latest any more
+  async function pruneSnapshots() {
+    const engagement = await dbRunResult(
+      `DELETE FROM engagement_snapshots WHERE id NOT IN (
+         SELECT MIN(id) FROM engagement_snapshots GROUP BY queue_id, subject
+         UNION SELECT MAX(id) FROM engagement_snapshots GROUP BY queue_id, subject
+       )`
+    );
+
+    const rows = await dbAll(
+      'SELECT id, collected_at FROM follower_snapshots WHERE collected_at < ? ORDER BY id ASC',
+      [Date.now() - 2 * 24 * 60 * 60 * 1000]
+    );
+    const lastOfDay = new Map();
+    for (const row of rows) lastOfDay.set(zonedParts(new Date(row.collected_at)).dayKey, row.id);
+    const keep = new Set(lastOfDay.values());
+    const stale = rows.filter(row => !keep.has(row.id)).map(row => row.id);
+    for (let i = 0; i < stale.length; i += 500) {
+      const batch = stale.slice(i, i + 500);
+      await dbRun(`DELETE FROM follower_snapshots WHERE id IN (${batch.map(() => '?').join(', ')})`, batch);
+    }
+
+    return { engagement: engagement.changes, followers: stale.length };
+  }
+
+  async function listJournal(limit = 100) {
+    const rows = await dbAll('SELECT * FROM dry_run_journal ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  async function getStats() {
+    const posted = await dbGet('SELECT COUNT(*) as count FROM posted_uris');
+    const followed = await dbGet('SELECT COUNT(*) as count FROM followed_dids');
+    const blocked = await dbGet('SELECT COUNT(*) as count FROM blocklist');
+    const pending = await dbGet("SELECT COUNT(*) as count FROM post_queue WHERE status = 'pending'");
+    const approved = await dbGet("SELECT COUNT(*) as count FROM post_queue WHERE status = 'approved'");
+    const expired = await dbGet("SELECT COUNT(*) as count FROM post_queue WHERE status = 'expired'");
+    const excluded = await dbGet('SELECT COUNT(*) as count FROM moderation_exclusions');
+    const queued = await getQueueSize();
+    return {
+      posted: posted?.count || 0,
+      followed: followed?.count || 0,
+      blocked: blocked?.count || 0,
+      pending: pending?.count || 0,
+      approved: approved?.count || 0,
+      expired: expired?.count || 0,
+      excluded: excluded?.count || 0,
+      queued
+    };
+  }
+
+  // ---------------- HELPERS ----------------
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function convertAtUriToWebUrl(uri, authorHandle) {
+    try {
+      const parts = uri.split('/');
+      const postId = parts[parts.length - 1];
+      return `https://bsky.app/profile/${authorHandle}/post/${postId}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // Where a queued submission lives: its post, or the link sent by direct message
+  function queueItemUrl(item) {
+    return item.link_url || convertAtUriToWebUrl(item.uri, item.author);
+  }
+
+  function blobCdnUrl(did, blob) {
+    // a CID instance when parsed by the agent, { $link } in plain JSON
+    const ref = blob?.ref;
+    const cid = ref?.$link || (ref && ref.constructor !== Object ? String(ref) : null);
+    return cid ? `https://cdn.bsky.app/img/feed_thumbnail/plain/${did}/${cid}@jpeg` : null;
+  }
+
+  // Keeps what a spotlight may later need from the source post's embed: its
+  // link card and how many images it has. Accepts the record embed (blob refs)
+  // and, when available, the hydrated view (thumbnail URLs).
+  function extractEmbedMeta(record, view, authorDid) {
+    const recordEmbed = record?.embed?.media || record?.embed;
+    const viewEmbed = view?.media || view;
+
+    const external = viewEmbed?.external || recordEmbed?.external;
+    const images = viewEmbed?.images || recordEmbed?.images || [];
+    if (!external && !images.length) return null;
+
+    return {
+      external: external ? {
+        uri: external.uri,
+        title: external.title || '',
+        description: external.description || '',
+        thumb: typeof external.thumb === 'string' ? external.thumb : blobCdnUrl(authorDid, external.thumb)
+      } : null,
+      images: images.length
+    };
+  }
+
+  // Links in a post record: facets carry the full URL even when the visible
+  // text is shortened, then the link card, then anything URL-shaped in the text.
+  function recordLinks(record) {
+    const links = [];
+    for (const facet of record?.facets || []) {
+      for (const feature of facet.features || []) {
+        if (feature.uri && /^https?:\/\//i.test(feature.uri)) links.push(feature.uri);
+      }
+    }
+    const external = record?.embed?.external || record?.embed?.media?.external;
+    if (external?.uri) links.push(external.uri);
+    for (const match of (record?.text || '').matchAll(/https?:\/\/[^\s<>"']+/gi)) {
+      links.push(match[0].replace(/[.,;:!?)\]]+$/, ''));
+    }
+    return [...new Set(links)];
+  }
+
+  function isPostTooOld(post) {
+    try {
+      // Posts have indexedAt timestamp from Bluesky
+      const postTime = post?.indexedAt || post?.record?.createdAt;
+      if (!postTime) return false; // If no timestamp, allow it through
+
+      const postDate = new Date(postTime).getTime();
+      const now = Date.now();
+      const age = now - postDate;
+
+      return age > config.MAX_POST_AGE_MS;
+    } catch (err) {
+      discoveryLog.error('post.age_check_failed', `Error checking post age: ${err.message}`, errorFields(err));
+      return false; // If error, don't filter it out
+    }
+  }
+
+  // ---------------- BLUESKY CLIENT ----------------
+
+  // Every XRPC call made through `agent` passes through rateLimitedFetch. It
+  // spaces calls out per endpoint, pauses an endpoint when the server's
+  // ratelimit-* headers say its budget is spent, retries 429/5xx/network
+  // failures with jittered exponential backoff, and logs back in when the
+  // session can no longer be refreshed.
+
+  // Minimum gap between calls to the same endpoint (ms)
+  const ENDPOINT_SPACING = {
+    'app.bsky.feed.searchPosts': 1200,
+    'app.bsky.feed.getAuthorFeed': 500,
+    'app.bsky.actor.getProfile': 300,
+    'com.atproto.repo.createRecord': 1200,
+    'com.atproto.repo.deleteRecord': 1200
+  };
+  const DEFAULT_SPACING = 200;
+
+  const MAX_RETRIES = 4;
+  const RETRY_BASE_MS = 1000;
+  const RETRY_MAX_MS = 60 * 1000;
+  const MAX_RATE_LIMIT_WAIT_MS = 2 * 60 * 1000; // longer waits fail the call instead of stalling the loop
+
+  const SESSION_ENDPOINTS = ['com.atproto.server.createSession', 'com.atproto.server.refreshSession'];
+
+  const endpointState = new Map();
+  let reloginPromise = null;
+
+  function getEndpointState(nsid) {
+    if (!endpointState.has(nsid)) {
+      endpointState.set(nsid, { nextSlotAt: 0, blockedUntil: 0, limit: null, remaining: null, resetAt: null });
+    }
+    return endpointState.get(nsid);
+  }
+
+  function nsidFromUri(httpUri) {
+    try {
+      return new URL(httpUri).pathname.replace(/^\/xrpc\//, '');
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  // Reserve the endpoint's next slot, waiting out any rate-limit pause first
+  async function acquireSlot(nsid) {
+    const state = getEndpointState(nsid);
+    const now = Date.now();
+
+    if (state.blockedUntil - now > MAX_RATE_LIMIT_WAIT_MS) {
+      const resetIn = Math.round((state.blockedUntil - now) / 1000);
+      throw new Error(`Rate limited on ${nsid} for another ${resetIn}s`);
+    }
+
+    const startAt = Math.max(now, state.nextSlotAt, state.blockedUntil);
+    state.nextSlotAt = startAt + (ENDPOINT_SPACING[nsid] ?? DEFAULT_SPACING);
+    if (startAt > now) await sleep(startAt - now);
+  }
+
+  function recordRateLimitHeaders(nsid, headers = {}) {
+    if (headers['ratelimit-remaining'] === undefined) return;
+
+    const state = getEndpointState(nsid);
+    state.limit = Number(headers['ratelimit-limit']);
+    state.remaining = Number(headers['ratelimit-remaining']);
+    state.resetAt = Number(headers['ratelimit-reset']) * 1000 || null;
+
+    if (state.remaining <= 0 && state.resetAt) {
+      state.blockedUntil = Math.max(state.blockedUntil, state.resetAt);
+      clientLog.warn('ratelimit.exhausted', `⚠️ Rate limit budget spent for ${nsid}, pausing until ${new Date(state.resetAt).toISOString()}`, {
+        nsid,
+        resetAt: new Date(state.resetAt).toISOString()
+      });
+    }
+  }
+
+  function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  // Writes are only retried when the server says it did not process them, so a
+  // lost response can never double-post, double-follow or double-like.
+  function isRetryable(httpMethod, status) {
+    if (status === 429) return true;
+    if (httpMethod.toLowerCase() !== 'get') return status === 503;
+    return status === 1 || status >= 500; // 1 = network failure from the base handler
+  }
+
+  async function relogin() {
+    if (!reloginPromise) {
+      authLog.warn('session.relogin', '🔑 Session expired and could not be refreshed — logging in again');
+      reloginPromise = login().finally(() => {
+        reloginPromise = null;
+      });
+    }
+    return await reloginPromise;
+  }
+
+  async function rateLimitedFetch(httpUri, httpMethod, httpHeaders, httpReqBody) {
+    const nsid = nsidFromUri(httpUri);
+
+    for (let attempt = 0; ; attempt++) {
+      await acquireSlot(nsid);
+
+      let res;
+      try {
+        res = await baseFetchHandler(httpUri, httpMethod, httpHeaders, httpReqBody);
+      } catch (err) {
+        if (!isRetryable(httpMethod, err.status) || attempt >= MAX_RETRIES) throw err;
+        const delay = backoffDelay(attempt);
+        clientLog.warn('request.retry', `🔁 ${nsid} failed (${err.message}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`, {
+          nsid,
+          attempt: attempt + 1,
+          delayMs: delay,
+          ...errorFields(err)
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      recordRateLimitHeaders(nsid, res.headers);
+
+      // agent already tried refreshSession; if that failed the session is gone
+      if (res.status === 401 && !SESSION_ENDPOINTS.includes(nsid) && !agent.hasSession && attempt === 0) {
+        if (await relogin()) {
+          httpHeaders = { ...httpHeaders, authorization: `Bearer ${agent.session.accessJwt}` };
+          continue;
+        }
+        return res;
+      }
+
+      if (!isRetryable(httpMethod, res.status) || attempt >= MAX_RETRIES) return res;
+
+      let delay = backoffDelay(attempt);
+      if (res.status === 429) {
+        const state = getEndpointState(nsid);
+        const resetAt = Number(res.headers?.['ratelimit-reset']) * 1000;
+        if (resetAt > Date.now()) state.blockedUntil = Math.max(state.blockedUntil, resetAt);
+        delay = Math.max(delay, state.blockedUntil - Date.now());
+        if (delay > MAX_RATE_LIMIT_WAIT_MS) return res;
+      }
+      clientLog.warn('request.retry', `🔁 ${nsid} returned ${res.status}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`, {
+        nsid,
+        attempt: attempt + 1,
+        delayMs: delay,
+        code: res.status
+      });
+      await sleep(delay);
+    }
+  }
+
+  // The installed @atproto/api has no chat.bsky.* lexicons, so chat calls are
+  // plain XRPC requests on the same fetch handler (rate limits, retries).
+  async function chatCall(nsid, { params, body } = {}, retried = false) {
+    const url = new URL(`/xrpc/${nsid}`, config.CHAT_SERVICE_URL || agent.pdsUrl || agent.service);
+    for (const [key, value] of Object.entries(params || {})) {
+      for (const item of [].concat(value ?? [])) url.searchParams.append(key, item);
+    }
+
+    const headers = { authorization: `Bearer ${agent.session?.accessJwt}` };
+    if (!config.CHAT_SERVICE_URL) headers['atproto-proxy'] = CHAT_PROXY;
+    if (body) headers['content-type'] = 'application/json';
+
+    const res = await rateLimitedFetch(url.toString(), body ? 'post' : 'get', headers, body);
+
+    // the agent refreshes an expired access token on its own calls
+    if (res.body?.error === 'ExpiredToken' && !retried) {
+      await agent.api.com.atproto.server.getSession();
+      return await chatCall(nsid, { params, body }, true);
+    }
+    if (res.status < 200 || res.status >= 300) {
+      const err = new Error(res.body?.message || res.body?.error || `${nsid} returned ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.body;
+  }
+
+  function getRateLimitSnapshot() {
+    const snapshot = {};
+    for (const [nsid, state] of endpointState) {
+      if (state.remaining === null && state.blockedUntil <= Date.now()) continue;
+      snapshot[nsid] = {
+        limit: state.limit,
+        remaining: state.remaining,
+        resetAt: state.resetAt ? new Date(state.resetAt).toISOString() : null,
+        pausedUntil: state.blockedUntil > Date.now() ? new Date(state.blockedUntil).toISOString() : null
+      };
+    }
+    return snapshot;
+  }
+
+  // ---------------- AUTH ----------------
+
+  const APP_PASSWORD_PATTERN = /^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/;
+
+  // The agent reports every session change; keep bot_session in step so a
+  // restart can resume instead of creating a new session.
+  async function handleSessionEvent(evt, session) {
+    const identifier = env.BLUESKY_USERNAME;
+    if (!identifier) return;
+
+    if ((evt === 'create' || evt === 'update') && session) {
+      await saveSession(identifier, session);
+    } else if (evt === 'expired') {
+      await clearSession(identifier);
+    }
+  }
+
+  async function resumeSavedSession() {
+    const saved = await loadSession(env.BLUESKY_USERNAME).catch(() => null);
+    if (!saved) return false;
+
+    try {
+      await agent.resumeSession(saved);
+      authLog.info('session.resumed', `✅ Resumed saved session as: ${agent.session.handle}`, { did: agent.session.did });
+      return true;
+    } catch (err) {
+      authLog.warn('session.resume_failed', `⚠️ Saved session could not be resumed, logging in with password: ${err.message}`, errorFields(err));
+      return false;
+    }
+  }
+
+  async function login() {
+    if (await resumeSavedSession()) return true;
+
+    const password = env.BLUESKY_PASSWORD || '';
+    if (!APP_PASSWORD_PATTERN.test(password)) {
+      if (config.REQUIRE_APP_PASSWORD) {
+        authLog.error('login.refused', '❌ BLUESKY_PASSWORD is not an app password and REQUIRE_APP_PASSWORD=true — refusing to log in');
+        await emitEvent('login.failed', { identifier: env.BLUESKY_USERNAME, reason: 'not an app password' });
+        return false;
+      }
+      authLog.warn('login.not_app_password', '⚠️ BLUESKY_PASSWORD does not look like an app password — create one under Settings → App Passwords');
+    }
+
+    try {
+      await agent.login({
+        identifier: env.BLUESKY_USERNAME,
+        password
+      });
+      authLog.info('login.ok', `✅ Logged in as: ${env.BLUESKY_USERNAME}`, { did: agent.session?.did });
+      return true;
+    } catch (err) {
+      authLog.error('login.failed', `❌ Login failed: ${err.message}`, errorFields(err));
+      await emitEvent('login.failed', { identifier: env.BLUESKY_USERNAME, reason: err.message });
+      return false;
+    }
+  }
+
+  // ---------------- WRITES ----------------
+
+  // Everything that changes state on Bluesky or the website goes through
+  // performWrite, so DRY_RUN can journal the exact payload instead of sending it.
+  async function performWrite(action, payload, send, dryRunResult = null) {
+    if (!DRY_RUN) return await send();
+
+    const journalId = await addToJournal(action, payload);
+    appLog.info('dryrun.journaled', `🧪 [dry-run] Journaled ${action} #${journalId}`, { action, journalId });
+    return typeof dryRunResult === 'function' ? dryRunResult(journalId) : dryRunResult;
+  }
+
+  async function createPost(record) {
+    return await performWrite('post', record, () => agent.post(record), journalId => ({
+      uri: `dry-run:post/${journalId}`,
+      cid: null
+    }));
+  }
+
+  async function followActor(did) {
+    return await performWrite('follow', { did }, () => agent.follow(did));
+  }
+
+  async function deleteFollowRecord(followUri) {
+    return await performWrite('deleteFollow', { uri: followUri }, () => agent.deleteFollow(followUri));
+  }
+
+  async function likePost(uri, cid) {
+    return await performWrite('like', { uri, cid }, () => agent.like(uri, cid));
+  }
+
+  async function markNotificationsSeen(seenAt) {
+    return await performWrite('updateSeen', { seenAt }, () => agent.updateSeenNotifications(seenAt));
+  }
+
+  // Either an existing conversation or a did to open one with
+  async function sendDirectMessage({ convoId, did, text }) {
+    return await performWrite('dm', { convoId, did, text }, async () => {
+      const id = convoId || (await chatCall('chat.bsky.convo.getConvoForMembers', { params: { members: [did] } })).convo.id;
+      return await chatCall('chat.bsky.convo.sendMessage', { body: { convoId: id, message: { text } } });
+    });
+  }
+
+  async function markConvoRead(convoId) {
+    return await performWrite('dmRead', { convoId }, () =>
+      chatCall('chat.bsky.convo.updateRead', { body: { convoId } })
+    );
+  }
+
+  // ---------------- FOLLOWING ----------------
+
+  // followed_dids mirrors the bot's real follow records (syncFollowGraph) and
+  // follow_events keeps the history behind the budgets. Accounts found on the
+  // account rather than followed by the bot are never unfollowed automatically.
+
+  const HOUR_MS = 60 * 60 * 1000;
+  // A skipped account isn't looked at again for this long
+  const FOLLOW_SKIP_RECHECK_MS = 30 * 24 * HOUR_MS;
+
+  // Why an account isn't worth following, or null
+  function followSkipReason(profile) {
+    const viewer = profile.viewer || {};
+    if (viewer.blockedBy || viewer.blocking || viewer.blockingByList || viewer.muted || viewer.mutedByList) {
+      return 'blocked or muted';
+    }
+    const label = excludedLabel(profile.labels);
+    if (label) return `labeled ${label}`;
+
+    const posts = profile.postsCount || 0;
+    const follows = profile.followsCount || 0;
+    const followers = profile.followersCount || 0;
+    if (posts < config.FOLLOW_MIN_POSTS) return `only ${posts} posts`;
+    if (follows > config.FOLLOW_MAX_FOLLOWS) return `follows ${follows} accounts`;
+    if (follows > config.FOLLOW_MAX_RATIO * Math.max(followers, 1)) return `follows ${follows}, followed by ${followers}`;
+    if (!profile.displayName && !profile.description && !profile.avatar) return 'empty profile';
+    return null;
+  }
+
+  // Name of the spent budget, or null
+  async function followBudgetSpent() {
+    const now = Date.now();
+    if (await countFollowEvents('follow', now - HOUR_MS) >= config.FOLLOW_HOURLY_LIMIT) return 'hourly';
+    if (await countFollowEvents('follow', now - 24 * HOUR_MS) >= config.FOLLOW_DAILY_LIMIT) return 'daily';
+    return null;
+  }
+
+  // `source` is why: 'submission', 'spotlight' or 'followBack'
+  async function autoFollow(did, source = 'spotlight') {
+    if (!did) return;
+    if (await isFollowed(did)) return;
+    if (await isBlocked(did)) return;
+
+    const last = await getLastFollowEvent(did);
+    // once unfollowed, only a follow from them brings them back
+    if (last?.action === 'unfollow' && source !== 'followBack') return;
+    if (last?.action === 'skip' && Date.now() - last.created_at < FOLLOW_SKIP_RECHECK_MS) return;
+
+    const spent = await followBudgetSpent();
+    if (spent) {
+      followingLog.debug('follow.budget_spent', `⏳ ${spent} follow budget spent, not following ${did} for now`, { did, source, budget: spent });
+      return;
+    }
+
+    try {
+      const profile = await agent.getProfile({ actor: did });
+      const { handle, viewer } = profile.data;
+
+      if (viewer?.following) {
+        await markAsFollowed(did, { handle, source: 'sync', followUri: viewer.following, followedBack: !!viewer.followedBy });
+        return;
+      }
+
+      const skip = followSkipReason(profile.data);
+      if (skip) {
+        followingLog.info('follow.skipped', `🙅 Not following @${handle} (${skip})`, { did, source, reason: skip });
+        await recordFollowEvent(did, handle, 'skip', source, skip);
+        return;
+      }
+
+      followingLog.info('follow.created', `➕ Following user: ${handle} (${source})`, { did, handle, source });
+      const follow = await followActor(did);
+      await markAsFollowed(did, { handle, source, followUri: follow?.uri, followedBack: !!viewer?.followedBy });
+      await recordFollowEvent(did, handle, 'follow', source);
+      await emitEvent('follow.created', { did, handle, source });
+    } catch (err) {
+      followingLog.error('follow.failed', `Follow error: ${err.message}`, { did, ...errorFields(err) });
+    }
+  }
+
+  async function followBack() {
+    try {
+      followingLog.info('followback.started', '🔄 Running follow-back routine...');
+      const followers = await agent.getFollowers({
+        actor: env.BLUESKY_USERNAME,
+        limit: 100
+      });
+
+      for (const f of followers.data.followers) {
+        if (await isFollowed(f.did)) {
+          await markAsFollowed(f.did, { followedBack: true });
+          continue;
+        }
+        await autoFollow(f.did, 'followBack');
+      }
+    } catch (err) {
+      followingLog.error('followback.failed', `Followback error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  async function unfollow(row, source, reason) {
+    await deleteFollowRecord(row.follow_uri);
+    await removeFollowed(row.did);
+    await recordFollowEvent(row.did, row.handle, 'unfollow', source, reason);
+    followingLog.info('follow.deleted', `➖ Unfollowed @${row.handle || row.did} (${reason})`, { did: row.did, source, reason });
+    await emitEvent('follow.deleted', { did: row.did, handle: row.handle, reason });
+  }
+
+  // Brings followed_dids in line with the account's follow records: adds follows
+  // made elsewhere, drops ones removed elsewhere and refreshes followed_back.
+  async function syncFollowGraph() {
+    const actual = new Map();
+    let cursor;
+    do {
+      const resp = await agent.getFollows({ actor: agent.session?.did || env.BLUESKY_USERNAME, limit: 100, cursor });
+      for (const profile of resp.data.follows) actual.set(profile.did, profile);
+      cursor = resp.data.cursor;
+    } while (cursor);
+
+    let added = 0;
+    let removed = 0;
+    const known = new Map((await listFollowed()).map(row => [row.did, row]));
+
+    for (const [did, profile] of actual) {
+      if (!known.has(did)) added++;
+      await markAsFollowed(did, {
+        handle: profile.handle,
+        source: 'sync',
+        followUri: profile.viewer?.following,
+        followedBack: !!profile.viewer?.followedBy
+      });
+    }
+    for (const row of known.values()) {
+      if (actual.has(row.did)) continue;
+      await removeFollowed(row.did);
+      await recordFollowEvent(row.did, row.handle, 'unfollow', 'sync', 'no longer followed');
+      removed++;
+    }
+
+    followingLog.info('sync.completed', `🔗 Follow graph synced: following ${actual.size} (+${added} / -${removed})`, {
+      following: actual.size,
+      added,
+      removed
+    });
+    return { following: actual.size, added, removed };
+  }
+
+  async function unfollowInactive() {
+    if (!config.UNFOLLOW_AFTER_DAYS) return 0;
+
+    const budget = config.UNFOLLOW_DAILY_LIMIT - await countFollowEvents('unfollow', Date.now() - 24 * HOUR_MS, 'policy');
+    if (budget <= 0) return 0;
+
+    const candidates = await getUnfollowCandidates(Date.now() - config.UNFOLLOW_AFTER_DAYS * 24 * HOUR_MS, budget);
+    for (const row of candidates) {
+      await unfollow(row, 'policy', `no follow-back or interaction in ${config.UNFOLLOW_AFTER_DAYS} days`);
+    }
+    return candidates.length;
+  }
+
+  async function manageFollows() {
+    try {
+      const sync = await syncFollowGraph();
+      const unfollowed = await unfollowInactive();
+      return { ...sync, unfollowed };
+    } catch (err) {
+      followingLog.error('manage.failed', `Follow management error: ${err.message}`, errorFields(err));
+      return null;
+    }
+  }
+
+  async function getFollowSummary() {
+    const now = Date.now();
+    const rows = await listFollowed();
+    return {
+      following: rows.length,
+      followedBack: rows.filter(row => row.followed_back).length,
+      followsLastHour: await countFollowEvents('follow', now - HOUR_MS),
+      followsLastDay: await countFollowEvents('follow', now - 24 * HOUR_MS),
+      unfollowsLastDay: await countFollowEvents('unfollow', now - 24 * HOUR_MS, 'policy'),
+      limits: {
+        hourly: config.FOLLOW_HOURLY_LIMIT,
+        daily: config.FOLLOW_DAILY_LIMIT,
+        unfollowDaily: config.UNFOLLOW_DAILY_LIMIT,
+        unfollowAfterDays: config.UNFOLLOW_AFTER_DAYS
+      }
+    };
+  }
+
+  // ---------------- MODERATION ----------------
+
+  // Post views (search, feeds, getPosts, notifications) already carry the
+  // labels on the post and its author and the bot's viewer state towards the
+  // author, which includes blocks and mutes from subscribed moderation lists.
+
+  function excludedLabel(labels = []) {
+    return labels.find(label => !label.neg && config.EXCLUDED_LABELS.includes(label.val))?.val || null;
+  }
+
+  // Why the post must not be featured, or null
+  function moderationReason(post) {
+    const author = post?.author || {};
+    const viewer = author.viewer || {};
+
+    if (viewer.blockedBy) return 'author blocks the bot';
+    if (viewer.blockingByList) return `author on block list "${viewer.blockingByList.name || viewer.blockingByList.uri}"`;
+    if (viewer.blocking) return 'author blocked by the bot';
+    if (viewer.mutedByList) return `author on mute list "${viewer.mutedByList.name || viewer.mutedByList.uri}"`;
+    if (viewer.muted) return 'author muted by the bot';
+
+    const authorLabel = excludedLabel(author.labels);
+    if (authorLabel) return `author labeled ${authorLabel}`;
+
+    const selfLabels = (post?.record?.labels?.values || []).map(label => ({ val: label.val }));
+    const postLabel = excludedLabel([...(post?.labels || []), ...selfLabels]);
+    if (postLabel) return `post labeled ${postLabel}`;
+
+    return null;
+  }
+
+  // Records the exclusion and marks the post seen so it isn't weighed again
+  async function excludePost(post, reason, sourceLabel) {
+    const handle = post?.author?.handle || 'unknown';
+    moderationLog.info('post.excluded', `🛡️ [${sourceLabel}] Excluded post from @${handle} (${reason})`, {
+      uri: post.uri,
+      authorDid: post?.author?.did,
+      source: sourceLabel,
+      reason
+    });
+    await addExclusion(post.uri, post?.author?.did || null, handle, reason, sourceLabel);
+    await markAsPosted(post.uri);
+    await emitEvent('post.filtered', {
+      author: handle,
+      authorDid: post?.author?.did || null,
+      uri: post.uri,
+      source: sourceLabel,
+      text: post?.record?.text || '',
+      reason: `moderation: ${reason}`,
+      reviewer: 'moderation'
+    });
+  }
+
+  // Labels, blocks and deletions can happen after a post was queued. The
+  // fetched post comes back too, so posting can record its counts.
+  async function recheckModeration(submission) {
+    if (!submission.uri?.startsWith('at://')) return { excluded: null, post: null };
+    const resp = await agent.getPosts({ uris: [submission.uri] });
+    const post = resp.data.posts[0];
+    if (!post) return { excluded: 'post no longer available', post: null };
+    return { excluded: moderationReason(post), post };
+  }
+
+  // at://did/app.bsky.graph.list/rkey or https://bsky.app/profile/<actor>/lists/<rkey>
+  async function resolveListUri(input) {
+    if (input.startsWith('at://')) return input;
+    const match = /^https?:\/\/(?:www\.)?bsky\.app\/profile\/([^/\s]+)\/lists\/([a-z0-9]+)/i.exec(input);
+    if (!match) throw new Error(`Not a list URI or bsky.app list link: ${input}`);
+
+    let actor = decodeURIComponent(match[1]);
+    if (!actor.startsWith('did:')) {
+      actor = (await agent.resolveHandle({ handle: actor })).data.did;
+    }
+    return `at://${actor}/app.bsky.graph.list/${match[2]}`;
+  }
+
+  // Adds every member of a moderation (or curation) list to the blocklist
+  async function importListToBlocklist(input, reason = null) {
+    const list = await resolveListUri(input);
+    let cursor;
+    let name = list;
+    let added = 0;
+    let members = 0;
+
+    do {
+      const resp = await agent.app.bsky.graph.getList({ list, limit: 100, cursor });
+      name = resp.data.list?.name || name;
+      for (const item of resp.data.items) {
+        members++;
+        if (await isBlocked(item.subject.did)) continue;
+        await addToBlocklist(item.subject.did, item.subject.handle, reason || `list: ${name}`);
+        added++;
+      }
+      cursor = resp.data.cursor;
+    } while (cursor);
+
+    moderationLog.info('list.imported', `🛡️ Imported list "${name}": ${added} of ${members} members added to the blocklist`, {
+      list,
+      added,
+      members
+    });
+    return { list, name, members, added };
+  }
+
+  // ---------------- DEDUPLICATION ----------------
+
+  // Posts are fingerprinted with a 64-bit simhash over word shingles of their
+  // normalized text, and their outbound links are canonicalized (scheme, www.,
+  // tracking parameters and known link wrappers removed). Either one matching
+  // a recent queue item makes the post a duplicate.
+
+  const SHINGLE_SIZE = 3;
+  const MIN_FINGERPRINT_WORDS = 6; // shorter texts collide too easily
+
+  const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|ref|ref_src|ref_url|si|_ga|_gl)$/i;
+
+  // host+path of link wrappers -> query parameter holding the real destination
+  const LINK_WRAPPERS = {
+    'l.facebook.com/l.php': 'u',
+    'lm.facebook.com/l.php': 'u',
+    'l.instagram.com/': 'u',
+    'google.com/url': 'q',
+    'youtube.com/redirect': 'q',
+    'out.reddit.com/': 'url',
+    'href.li/': null
+  };
+
+  function canonicalizeUrl(raw) {
+    if (raw.startsWith('at://')) return raw;
+
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    let host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    const wrapperKey = `${host}${url.pathname}`;
+    if (wrapperKey in LINK_WRAPPERS) {
+      const param = LINK_WRAPPERS[wrapperKey];
+      const target = param ? url.searchParams.get(param) : url.search.slice(1);
+      if (target && /^https?:\/\//i.test(target)) return canonicalizeUrl(target);
+    }
+
+    if (host === 'youtu.be') {
+      url.searchParams.set('v', url.pathname.slice(1));
+      url.pathname = '/watch';
+      host = 'youtube.com';
+    }
+    if (host === 'twitter.com') host = 'x.com';
+
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+    url.searchParams.sort();
+
+    const query = url.searchParams.toString();
+    return `${host}${url.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`;
+  }
+
+  // Links of the submission's post record (if given) or text, plus any quoted
+  // post; the post's own URI is included so quotes of a queued post match it
+  function canonicalLinks(submission) {
+    const record = submission.record || { text: submission.text };
+    const quoted = record.embed?.record?.record?.uri || record.embed?.record?.uri;
+    const raw = [
+      ...recordLinks(record),
+      submission.embed?.external?.uri,
+      quoted,
+      submission.uri
+    ];
+    return [...new Set(raw.filter(Boolean).map(canonicalizeUrl).filter(Boolean))];
+  }
+
+  function fingerprintWords(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/@[\w.-]+/g, ' ')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  // Hex simhash of the text's shingles, or null for texts too short to compare
+  function simhash(text) {
+    const words = fingerprintWords(text);
+    if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+    const weights = new Array(64).fill(0);
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+      const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+      const hash = crypto.createHash('md5').update(shingle).digest().readBigUInt64BE(0);
+      for (let bit = 0; bit < 64; bit++) {
+        weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+    }
+
+    let fingerprint = 0n;
+    weights.forEach((weight, bit) => {
+      if (weight > 0) fingerprint |= 1n << BigInt(bit);
+    });
+    return fingerprint.toString(16).padStart(16, '0');
+  }
+
+  function hammingDistance(a, b) {
+    let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (x) {
+      x &= x - 1n;
+      count++;
+    }
+    return count;
+  }
+
+  // { row, reason } for the first recent queue item this content duplicates, or null
+  async function findDuplicate(fingerprint, links) {
+    for (const row of await getDedupeCandidates()) {
+      const rowLinks = JSON.parse(row.canonical_links || '[]');
+      const shared = links.find(link => rowLinks.includes(link));
+      if (shared) return { row, reason: `same link ${shared}` };
+
+      if (fingerprint && row.fingerprint) {
+        const distance = hammingDistance(fingerprint, row.fingerprint);
+        if (distance <= config.DUPLICATE_MAX_DISTANCE) return { row, reason: `similar text, distance ${distance}` };
+      }
+    }
+    return null;
+  }
+
+  // ---------------- FILTERS ----------------
+
+  // Weighted rules live in filter-rules.json (or FILTER_RULES_PATH) and are
+  // reloaded whenever the file changes. A post is accepted when the summed
+  // weights of the rules that fired reach the threshold.
+
+  const RULE_TYPES = ['keywords', 'regex', 'hashtag', 'links', 'length'];
+
+  let filterConfig = null;
+  let filterConfigMtime = 0;
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Word boundaries that also work for accented letters (plain \b does not)
+  function wordListRegex(words, prefix = '') {
+    const alternatives = words.map(w => escapeRegExp(String(w).toLowerCase())).join('|');
+    return new RegExp(`(?<![\\p{L}\\p{N}_#])${prefix}(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu');
+  }
+
+  function compileRule(rule, index, earlierIds) {
+    const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) throw new Error(`${where}: "id" is required`);
+    if (earlierIds.has(rule.id)) throw new Error(`${where}: duplicate id`);
+    if (!RULE_TYPES.includes(rule.type)) throw new Error(`${where}: unknown type "${rule.type}"`);
+    if (!Number.isFinite(rule.weight)) throw new Error(`${where}: "weight" must be a number`);
+
+    const requires = rule.requires || [];
+    for (const dep of requires) {
+      // only earlier rules, so scoring stays a single pass
+      if (!earlierIds.has(dep)) throw new Error(`${where}: requires unknown or later rule "${dep}"`);
+    }
+
+    const compiled = {
+      id: rule.id,
+      type: rule.type,
+      weight: rule.weight,
+      requires,
+      perMatch: !!rule.perMatch,
+      maxMatches: rule.maxMatches || Infinity
+    };
+
+    switch (rule.type) {
+      case 'keywords':
+      case 'hashtag': {
+        const list = rule.type === 'keywords' ? rule.words : rule.tags;
+        const field = rule.type === 'keywords' ? 'words' : 'tags';
+        if (!Array.isArray(list) || !list.length) throw new Error(`${where}: "${field}" must be a non-empty array`);
+        compiled.regex = wordListRegex(list.map(t => String(t).replace(/^#/, '')), rule.type === 'hashtag' ? '#' : '');
+        break;
+      }
+      case 'regex':
+        try {
+          const flags = rule.flags ?? 'i';
+          compiled.regex = new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g');
+        } catch (err) {
+          throw new Error(`${where}: bad pattern: ${err.message}`);
+        }
+        break;
+      case 'links':
+      case 'length':
+        if (rule.min === undefined && rule.max === undefined) throw new Error(`${where}: needs "min" and/or "max"`);
+        compiled.min = rule.min ?? -Infinity;
+        compiled.max = rule.max ?? Infinity;
+        break;
+    }
+    return compiled;
+  }
+
+  function compileFilterConfig(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('expected a JSON object');
+    if (!Number.isFinite(raw.threshold)) throw new Error('"threshold" must be a number');
+    if (!Array.isArray(raw.rules)) throw new Error('"rules" must be an array');
+
+    const ids = new Set();
+    const rules = raw.rules.map((rule, i) => {
+      const compiled = compileRule(rule, i, ids);
+      ids.add(compiled.id);
+      return compiled;
+    });
+
+    const sources = raw.sources || {};
+    for (const [pattern, override] of Object.entries(sources)) {
+      if (override.threshold !== undefined && !Number.isFinite(override.threshold)) {
+        throw new Error(`sources.${pattern}: "threshold" must be a number`);
+      }
+      for (const [id, weight] of Object.entries(override.weights || {})) {
+        if (!ids.has(id)) throw new Error(`sources.${pattern}: unknown rule "${id}"`);
+        if (!Number.isFinite(weight)) throw new Error(`sources.${pattern}.weights.${id} must be a number`);
+      }
+    }
+
+    return { threshold: raw.threshold, rules, sources };
+  }
+
+  // Returns the current rules, re-reading the file if it changed. A broken edit
+  // keeps the previous rules in place; only a broken file at startup is fatal.
+  function loadFilterRules() {
+    let stat;
+    try {
+      stat = fs.statSync(config.FILTER_RULES_PATH);
+    } catch (err) {
+      if (filterConfig) return filterConfig;
+      throw new Error(`Cannot read filter rules at ${config.FILTER_RULES_PATH}: ${err.message}`);
+    }
+    if (filterConfig && stat.mtimeMs === filterConfigMtime) return filterConfig;
+
+    try {
+      const next = compileFilterConfig(JSON.parse(fs.readFileSync(config.FILTER_RULES_PATH, 'utf8')));
+      filterLog.info('filters.loaded', `🧮 ${filterConfig ? 'Reloaded' : 'Loaded'} ${next.rules.length} filter rules from ${config.FILTER_RULES_PATH}`, {
+        path: config.FILTER_RULES_PATH,
+        rules: next.rules.length
+      });
+      filterConfig = next;
+    } catch (err) {
+      if (!filterConfig) throw new Error(`Invalid filter rules in ${config.FILTER_RULES_PATH}: ${err.message}`);
+      filterLog.error('filters.invalid', `❌ Invalid filter rules in ${config.FILTER_RULES_PATH}, keeping previous rules: ${err.message}`, {
+        path: config.FILTER_RULES_PATH,
+        ...errorFields(err)
+      });
+    }
+    filterConfigMtime = stat.mtimeMs;
+    return filterConfig;
+  }
+
+  // Source patterns are exact labels ("mention") or prefixes ending in * ("search:*")
+  function sourceOverrides(filterRules, sourceLabel) {
+    const merged = { threshold: undefined, weights: {} };
+    for (const [pattern, override] of Object.entries(filterRules.sources)) {
+      const matches = pattern.endsWith('*')
+        ? sourceLabel.startsWith(pattern.slice(0, -1))
+        : sourceLabel === pattern;
+      if (!matches) continue;
+      if (override.threshold !== undefined) merged.threshold = override.threshold;
+      Object.assign(merged.weights, override.weights || {});
+    }
+    return merged;
+  }
+
+  function countRuleMatches(rule, text, linkCount) {
+    switch (rule.type) {
+      case 'links':
+        return linkCount >= rule.min && linkCount <= rule.max ? 1 : 0;
+      case 'length':
+        return text.length >= rule.min && text.length <= rule.max ? 1 : 0;
+      default: {
+        const found = text.match(rule.regex) || [];
+        return new Set(found.map(m => m.toLowerCase())).size;
+      }
+    }
+  }
+
+  // With the post record, links in facets and the link card count too
+  function scorePost(text, sourceLabel = 'search', record = null) {
+    const filterRules = loadFilterRules();
+    const overrides = sourceOverrides(filterRules, sourceLabel);
+    const threshold = overrides.threshold ?? filterRules.threshold;
+
+    const body = text || '';
+    const linkCount = record
+      ? new Set(recordLinks(record).map(canonicalizeUrl).filter(Boolean)).size
+      : (body.match(/https?:\/\//gi) || []).length;
+
+    let score = 0;
+    const fired = [];
+    const firedIds = new Set();
+
+    for (const rule of filterRules.rules) {
+      const weight = overrides.weights[rule.id] ?? rule.weight;
+      if (weight === 0) continue;
+      if (!rule.requires.every(id => firedIds.has(id))) continue;
+
+      const matches = countRuleMatches(rule, body, linkCount);
+      if (!matches) continue;
+
+      const applied = rule.perMatch ? weight * Math.min(matches, rule.maxMatches) : weight;
+      score += applied;
+      fired.push({ id: rule.id, weight: applied });
+      firedIds.add(rule.id);
+    }
+
+    return { score, threshold, accepted: score >= threshold, fired };
+  }
+
+  function describeScore(result) {
+    const rules = result.fired.map(r => `${r.id}(${r.weight > 0 ? '+' : ''}${r.weight})`).join(', ');
+    return `score ${result.score}/${result.threshold}: ${rules || 'no rules fired'}`;
+  }
+
+  // ---------------- LINKS ----------------
+
+  // Before a post is queued its links (facets, link card, text) are followed
+  // through redirects and their landing pages read for title, description and
+  // OpenGraph data. Results are cached in link_cache. Affiliate, marketplace,
+  // shortener and dead links keep the post out of the queue.
+
+  const LINK_ERROR_CACHE_MS = 60 * 60 * 1000; // timeouts and server errors are retried sooner
+  const LINK_MAX_HTML_BYTES = 512 * 1024;
+  const LINK_USER_AGENT = 'Mozilla/5.0 (compatible; IndieSpotlightBot/1.0; +https://bsky.app)';
+
+  const SHORTENER_DOMAINS = [
+    'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly',
+    'shorturl.at', 'tiny.cc', 'rb.gy', 's.id', 't.ly', 'bl.ink', 'lnkd.in', 'goo.gl', 'short.gy', 'v.gd', 'tr.ee'
+  ];
+  const AFFILIATE_DOMAINS = [
+    'amzn.to', 'a.co', 'amzn.eu', 'geni.us', 'howl.me', 'shareasale.com', 'awin1.com', 'clickbank.net',
+    'linksynergy.com', 'skimresources.com', 'viglink.com', 'prf.hn', 'jdoqocy.com', 'tkqlhce.com',
+    'dpbolvw.net', 'anrdoezrs.net', 'kqzyfj.com', 'pxf.io', 'sjv.io', 'go2cloud.org', 'hotmart.com'
+  ];
+  const MARKETPLACE_DOMAINS = [
+    'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.es', 'amazon.it', 'amazon.ca',
+    'amazon.com.br', 'amazon.com.mx', 'amazon.co.jp', 'amazon.in', 'ebay.com', 'ebay.co.uk', 'aliexpress.com',
+    'temu.com', 'shein.com', 'walmart.com', 'etsy.com', 'wish.com', 'banggood.com', 'mercadolivre.com.br',
+    'mercadolibre.com', 'shopee.com.br', 'magazineluiza.com.br'
+  ];
+  const AFFILIATE_PARAMS = /^(aff|aff_id|affid|aff_sub|affiliate|affiliate_id|affiliateid|irclickid|clickid|ascsubtag)$/i;
+
+  // where indie projects live; recognized links carry the label
+  const PROJECT_HOSTS = {
+    'itch.io': 'itch.io',
+    'store.steampowered.com': 'Steam',
+    'github.com': 'GitHub',
+    'gitlab.com': 'GitLab',
+    'codeberg.org': 'Codeberg',
+    'apps.apple.com': 'App Store',
+    'testflight.apple.com': 'TestFlight',
+    'play.google.com': 'Google Play',
+    'f-droid.org': 'F-Droid',
+    'chromewebstore.google.com': 'Chrome Web Store',
+    'addons.mozilla.org': 'Firefox Add-ons',
+    'marketplace.visualstudio.com': 'VS Code Marketplace',
+    'npmjs.com': 'npm',
+    'pypi.org': 'PyPI',
+    'crates.io': 'crates.io',
+    'gamejolt.com': 'Game Jolt',
+    'huggingface.co': 'Hugging Face',
+    'producthunt.com': 'Product Hunt'
+  };
+
+  // "example.com" matches the host and its subdomains; "127.0.0.1:8080" also the port
+  function matchDomain(url, domains) {
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    return domains.find(domain => {
+      const entry = String(domain).toLowerCase();
+      if (entry.includes(':')) return url.host.toLowerCase() === entry;
+      return host === entry || host.endsWith(`.${entry}`);
+    }) || null;
+  }
+
+  // Addresses a link must never reach: loopback, private, link-local, CGNAT,
+  // unspecified, multicast/reserved, and IPv4 behind NAT64/6to4. BlockList
+  // checks IPv4-mapped IPv6 (::ffff:127.0.0.1) against the IPv4 rules.
+  const PRIVATE_ADDRESSES = new net.BlockList();
+  for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+  ]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+  }
+  for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+  ]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+  }
+
+  function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Checks what a name resolves to at connect time, so neither DNS rebinding
+  // nor a redirect to a private name gets around the check
+  function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = !config.LINK_ALLOW_PRIVATE && addresses.find(a => isPrivateAddress(a.address));
+      if (!blocked) return callback(null, address, family);
+
+      const error = new Error(`private address ${blocked.address}`);
+      error.code = 'EPRIVATE';
+      callback(error);
+    });
+  }
+
+  const linkDispatcher = new UndiciAgent({ connect: { lookup: guardedLookup } });
+
+  // fetch for URLs taken from posts and landing pages
+  function guardedFetch(url, options = {}) {
+    return undiciFetch(url, { ...options, dispatcher: linkDispatcher });
+  }
+
+  // Why a hop must not be fetched or followed, or null
+  function hopRejection(url) {
+    if (!/^https?:$/.test(url.protocol)) return `unsupported link ${url.protocol}`;
+    // literal addresses connect without a lookup, so they are checked here
+    const literal = url.hostname.replace(/^\[|\]$/g, '');
+    if (!config.LINK_ALLOW_PRIVATE && isPrivateAddress(literal)) return `private address ${literal}`;
+
+    const blocked = matchDomain(url, config.LINK_REJECT_DOMAINS);
+    if (blocked) return `blocked domain ${blocked}`;
+    if (matchDomain(url, config.LINK_ALLOW_DOMAINS)) return null;
+
+    const affiliate = matchDomain(url, AFFILIATE_DOMAINS);
+    if (affiliate) return `affiliate link ${affiliate}`;
+    const param = [...url.searchParams.keys()].find(key => AFFILIATE_PARAMS.test(key));
+    if (param) return `affiliate link (${param}=)`;
+    const marketplace = matchDomain(url, MARKETPLACE_DOMAINS);
+    if (marketplace) return `marketplace ${marketplace}`;
+    return null;
+  }
+
+  function htmlAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? match[1] ?? match[2] ?? match[3] : null;
+  }
+
+  function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  // title, description, image and site name from <meta> (OpenGraph first) and <title>
+  function parseLinkMeta(html, baseUrl) {
+    const meta = {};
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+      const key = (htmlAttribute(tag, 'property') || htmlAttribute(tag, 'name') || '').toLowerCase();
+      const content = htmlAttribute(tag, 'content');
+      if (key && content !== null && !(key in meta)) meta[key] = decodeEntities(content).replace(/\s+/g, ' ').trim();
+    }
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+
+    let image = meta['og:image'] || meta['twitter:image'] || '';
+    try {
+      image = image ? new URL(image, baseUrl).toString() : '';
+    } catch {
+      image = '';
+    }
+
+    return {
+      title: meta['og:title'] || meta['twitter:title'] || (title ? decodeEntities(title).replace(/\s+/g, ' ').trim() : ''),
+      description: meta['og:description'] || meta['twitter:description'] || meta.description || '',
+      image,
+      siteName: meta['og:site_name'] || ''
+    };
+  }
+
+  // Stops reading once maxBytes have arrived; the last chunk can run past it
+  async function readBodyCapped(resp, maxBytes) {
+    if (!resp.body) return Buffer.alloc(0);
+    const reader = resp.body.getReader();
+    const chunks = [];
+    let received = 0;
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+    }
+    reader.cancel().catch(() => {});
+    return Buffer.concat(chunks);
+  }
+
+  // Follows redirects by hand so every hop is checked before it is fetched.
+  // Resolves with { finalUrl, hops, status, verdict, reason, ...page metadata }
+  // where verdict is 'ok', 'rejected', or 'unknown' (could not tell; allowed).
+  async function fetchLink(rawUrl) {
+    const signal = AbortSignal.timeout(config.LINK_TIMEOUT_MS);
+    const hops = [];
+    const result = (verdict, reason, extra = {}) => ({
+      finalUrl: hops[hops.length - 1] || rawUrl,
+      hops,
+      status: null,
+      verdict,
+      reason,
+      title: '',
+      description: '',
+      image: '',
+      siteName: '',
+      ...extra
+    });
+
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch {
+      return result('rejected', 'not a valid URL');
+    }
+
+    for (let redirects = 0; ; redirects++) {
+      hops.push(url.toString());
+      const rejection = hopRejection(url);
+      if (rejection) return result('rejected', rejection);
+
+      let resp;
+      try {
+        resp = await guardedFetch(url, {
+          redirect: 'manual',
+          signal,
+          headers: { 'User-Agent': LINK_USER_AGENT, Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' }
+        });
+      } catch (err) {
+        if (err.name === 'TimeoutError' || err.name === 'AbortError') return result('unknown', 'timed out');
+        const code = err.cause?.code || err.code || err.message;
+        if (code === 'EPRIVATE') return result('rejected', err.cause.message);
+        // the host does not exist or refuses connections
+        if (['ENOTFOUND', 'ECONNREFUSED', 'EAI_AGAIN', 'ERR_INVALID_URL'].includes(code)) return result('rejected', `dead link (${code})`);
+        return result('unknown', `fetch failed (${code})`);
+      }
+
+      const location = resp.headers.get('location');
+      if (resp.status >= 300 && resp.status < 400 && location) {
+        resp.body?.cancel().catch(() => {});
+        if (redirects >= config.LINK_MAX_REDIRECTS) return result('rejected', 'too many redirects', { status: resp.status });
+        try {
+          url = new URL(location, url);
+        } catch {
+          return result('rejected', 'bad redirect', { status: resp.status });
+        }
+        continue;
+      }
+
+      if (resp.status === 404 || resp.status === 410) {
+        resp.body?.cancel().catch(() => {});
+        return result('rejected', `dead link (${resp.status})`, { status: resp.status });
+      }
+      // bot walls (403, 429) and server errors say nothing about the link itself
+      if (resp.status >= 400) {
+        resp.body?.cancel().catch(() => {});
+        return result('unknown', `HTTP ${resp.status}`, { status: resp.status });
+      }
+
+      let page = {};
+      if (/html/i.test(resp.headers.get('content-type') || '')) {
+        try {
+          page = parseLinkMeta((await readBodyCapped(resp, LINK_MAX_HTML_BYTES)).toString('utf8'), url);
+        } catch (err) {
+          linkLog.debug('link.body_failed', `Could not read ${url}: ${err.message}`, { url: url.toString(), ...errorFields(err) });
+        }
+      } else {
+        resp.body?.cancel().catch(() => {});
+      }
+
+      // a shortener is only judged once we know where it leads
+      const shortener = hops
+        .map(hop => new URL(hop))
+        .filter(hop => !matchDomain(hop, config.LINK_ALLOW_DOMAINS))
+        .map(hop => matchDomain(hop, [...SHORTENER_DOMAINS, ...config.LINK_SHORTENER_DOMAINS]))
+        .find(Boolean);
+      if (shortener) return result('rejected', `shortener ${shortener} → ${url.hostname}`, { status: resp.status, ...page });
+
+      return result('ok', null, { status: resp.status, ...page });
+    }
+  }
+
+  function projectLabel(finalUrl) {
+    try {
+      const url = new URL(finalUrl);
+      const host = matchDomain(url, [...Object.keys(PROJECT_HOSTS), ...config.LINK_PROJECT_DOMAINS]);
+      return host ? PROJECT_HOSTS[host] || host : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function getCachedLink(url) {
+    const row = await dbGet('SELECT * FROM link_cache WHERE url = ?', [url]);
+    if (!row) return null;
+    const ttl = row.verdict === 'unknown' ? Math.min(LINK_ERROR_CACHE_MS, config.LINK_CACHE_MS) : config.LINK_CACHE_MS;
+    if (Date.now() - row.checked_at > ttl) return null;
+    return { ...JSON.parse(row.meta), url, cached: true };
+  }
+
+  async function cacheLink(info) {
+    const { url, cached, ...meta } = info;
+    await dbRun(
+      `INSERT INTO link_cache (url, final_url, status, verdict, reason, meta, checked_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(url) DO UPDATE SET final_url = excluded.final_url, status = excluded.status,
+         verdict = excluded.verdict, reason = excluded.reason, meta = excluded.meta, checked_at = excluded.checked_at`,
+      [url, meta.finalUrl, meta.status, meta.verdict, meta.reason, JSON.stringify(meta), Date.now()]
+    );
+  }
+
+  // Inspects one link, from the cache unless `fresh`
+  async function inspectLink(url, fresh = false) {
+    if (!fresh) {
+      const cached = await getCachedLink(url);
+      if (cached) return cached;
+    }
+    const fetched = await fetchLink(url);
+    const info = { url, ...fetched, project: fetched.verdict === 'rejected' ? null : projectLabel(fetched.finalUrl) };
+    await cacheLink(info);
+    linkLog.debug('link.inspected', `🔗 ${url} → ${info.finalUrl}: ${info.verdict}${info.reason ? ` (${info.reason})` : ''}`, {
+      url,
+      finalUrl: info.finalUrl,
+      verdict: info.verdict,
+      status: info.status
+    });
+    return info;
+  }
+
+  // Outside links of a post record; links to other Bluesky posts are skipped
+  function inspectableLinks(record) {
+    const seen = new Set();
+    return recordLinks(record).filter(link => {
+      const key = canonicalizeUrl(link);
+      if (!key || seen.has(key) || /^(bsky\.app|at:)/.test(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // { links: [metadata], rejected: { url, reason } | null } for a post record.
+  // Every link gets the domain and parameter checks; only the first
+  // LINK_MAX_PER_POST are fetched, so a post can't hide a bad link behind them.
+  async function inspectPostLinks(record) {
+    if (!config.LINK_CHECKS) return { links: [], rejected: null };
+
+    const urls = inspectableLinks(record);
+    for (const url of urls) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return { links: [], rejected: { url, reason: 'not a valid URL' } };
+      }
+      const reason = hopRejection(parsed);
+      if (reason) return { links: [], rejected: { url, reason } };
+    }
+
+    const links = [];
+    for (const url of urls.slice(0, config.LINK_MAX_PER_POST)) {
+      const info = await inspectLink(url);
+      if (info.verdict === 'rejected') return { links, rejected: { url, reason: info.reason } };
+      links.push(linkSummary(info));
+    }
+    return { links, rejected: null };
+  }
+
+  // What the queue row, composer and website keep of an inspected link
+  function linkSummary(info) {
+    return {
+      url: info.url,
+      finalUrl: info.finalUrl,
+      status: info.status,
+      title: info.title,
+      description: info.description,
+      image: info.image,
+      siteName: info.siteName,
+      project: info.project
+    };
+  }
+
+  // ---------------- TOPICS ----------------
+
+  // The taxonomy lives in topics.json (or TOPICS_PATH) and is reloaded when the
+  // file changes. A post gets every topic that scores close enough to the best
+  // one: an author hint (#spotlight:games) outweighs a topic hashtag, which
+  // outweighs keywords. A model trained with `node index.js train-topics` adds
+  // its probability on top when TOPIC_MODEL_PATH exists.
+
+  const TOPIC_HINT_SCORE = 10;
+  const TOPIC_HASHTAG_SCORE = 3;
+  const TOPIC_MODEL_MIN_DOCS = 5;
+  const TOPIC_HINT_REGEX = /#spotlight:([\p{L}\p{N}-]+)/giu;
+
+  let topicConfig = null;
+  let topicConfigMtime = 0;
+  let topicModel = null;
+  let topicModelMtime = 0;
+
+  function compileTopics(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('expected a JSON object');
+    if (!Array.isArray(raw.topics) || !raw.topics.length) throw new Error('"topics" must be a non-empty array');
+
+    const ids = new Set();
+    const topics = raw.topics.map((topic, i) => {
+      const where = `topics[${i}]${topic?.id ? ` (${topic.id})` : ''}`;
+      if (!topic || typeof topic.id !== 'string' || !/^[a-z0-9-]+$/.test(topic.id)) {
+        throw new Error(`${where}: "id" must be lowercase letters, digits and dashes`);
+      }
+      if (ids.has(topic.id)) throw new Error(`${where}: duplicate id`);
+      ids.add(topic.id);
+      for (const field of ['hashtags', 'keywords', 'exclude']) {
+        if (topic[field] !== undefined && !Array.isArray(topic[field])) throw new Error(`${where}: "${field}" must be an array`);
+      }
+
+      const hashtags = (topic.hashtags || []).map(t => String(t).replace(/^#/, '').toLowerCase());
+      return {
+        id: topic.id,
+        label: topic.label || topic.id,
+        hashtag: topic.hashtag ? String(topic.hashtag).replace(/^#/, '') : null,
+        hints: new Set([topic.id, ...hashtags]),
+        hashtagRegex: hashtags.length ? wordListRegex(hashtags, '#') : null,
+        keywordRegex: topic.keywords?.length ? wordListRegex(topic.keywords) : null,
+        excludeRegex: topic.exclude?.length ? wordListRegex(topic.exclude) : null
+      };
+    });
+
+    if (!ids.has(raw.fallback)) throw new Error('"fallback" must be one of the topic ids');
+    const numbers = { maxTags: 3, minScore: 2, relativeWeight: 0.4, modelWeight: 4 };
+    for (const [key, fallback] of Object.entries(numbers)) {
+      if (raw[key] === undefined) continue;
+      if (!Number.isFinite(raw[key]) || raw[key] < 0) throw new Error(`"${key}" must be a number of at least 0`);
+      numbers[key] = raw[key];
+    }
+
+    return { topics, fallback: raw.fallback, ...numbers, maxTags: Math.max(1, Math.floor(numbers.maxTags)) };
+  }
+
+  // Same reload rules as the filter rules: a broken edit keeps the previous taxonomy
+  function loadTopics() {
+    let stat;
+    try {
+      stat = fs.statSync(config.TOPICS_PATH);
+    } catch (err) {
+      if (topicConfig) return topicConfig;
+      throw new Error(`Cannot read topics at ${config.TOPICS_PATH}: ${err.message}`);
+    }
+    if (topicConfig && stat.mtimeMs === topicConfigMtime) return topicConfig;
+
+    try {
+      const next = compileTopics(JSON.parse(fs.readFileSync(config.TOPICS_PATH, 'utf8')));
+      topicLog.info('topics.loaded', `🏷️ ${topicConfig ? 'Reloaded' : 'Loaded'} ${next.topics.length} topics from ${config.TOPICS_PATH}`, {
+        path: config.TOPICS_PATH,
+        topics: next.topics.length
+      });
+      topicConfig = next;
+    } catch (err) {
+      if (!topicConfig) throw new Error(`Invalid topics in ${config.TOPICS_PATH}: ${err.message}`);
+      topicLog.error('topics.invalid', `❌ Invalid topics in ${config.TOPICS_PATH}, keeping previous topics: ${err.message}`, {
+        path: config.TOPICS_PATH,
+        ...errorFields(err)
+      });
+    }
+    topicConfigMtime = stat.mtimeMs;
+    return topicConfig;
+  }
+
+  // The model is optional: no file means keywords and hashtags only
+  function loadTopicModel() {
+    let stat;
+    try {
+      stat = fs.statSync(config.TOPIC_MODEL_PATH);
+    } catch {
+      topicModel = null;
+      topicModelMtime = 0;
+      return null;
+    }
+    if (stat.mtimeMs === topicModelMtime) return topicModel;
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(config.TOPIC_MODEL_PATH, 'utf8'));
+      topicModel = { ...raw, vocabulary: new Set(Object.keys(raw.all.words)) };
+      topicLog.info('topics.model_loaded', `🧠 Loaded topic model from ${config.TOPIC_MODEL_PATH} (${raw.documents} documents)`, {
+        path: config.TOPIC_MODEL_PATH,
+        documents: raw.documents
+      });
+    } catch (err) {
+      topicModel = null;
+      topicLog.error('topics.model_invalid', `❌ Invalid topic model in ${config.TOPIC_MODEL_PATH}, ignoring it: ${err.message}`, {
+        path: config.TOPIC_MODEL_PATH,
+        ...errorFields(err)
+      });
+    }
+    topicModelMtime = stat.mtimeMs;
+    return topicModel;
+  }
+
+  function topicTokens(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .match(/[\p{L}\p{N}]{3,}/gu) || [];
+  }
+
+  // One-vs-rest naive Bayes: the probability that a post belongs to each topic
+  // the model knows, or null without a model or any known words
+  function topicProbabilities(text, taxonomy) {
+    const model = loadTopicModel();
+    if (!model) return null;
+
+    const tokens = topicTokens(text).filter(token => model.vocabulary.has(token));
+    if (!tokens.length) return null;
+
+    const size = model.vocabulary.size;
+    const probabilities = {};
+    for (const topic of taxonomy.topics) {
+      const stats = model.topics[topic.id];
+      if (!stats) continue;
+
+      const restTokens = model.all.tokens - stats.tokens;
+      let logOdds = Math.log(stats.documents / (model.documents - stats.documents));
+      for (const token of tokens) {
+        const inTopic = stats.words[token] || 0;
+        const inRest = model.all.words[token] - inTopic;
+        logOdds += Math.log((inTopic + 1) / (stats.tokens + size)) - Math.log((inRest + 1) / (restTokens + size));
+      }
+      probabilities[topic.id] = 1 / (1 + Math.exp(-logOdds));
+    }
+    return probabilities;
+  }
+
+  function countMatches(regex, text) {
+    if (!regex) return 0;
+    return new Set((text.match(regex) || []).map(m => m.toLowerCase())).size;
+  }
+
+  // { tag, tags: [{ topic, weight, via }] }, tag being the strongest topic.
+  // weight is relative to the strongest (1); via says what matched.
+  function classifyTopics(text) {
+    const taxonomy = loadTopics();
+    const lower = (text || '').toLowerCase();
+    const hints = [...lower.matchAll(TOPIC_HINT_REGEX)].map(m => m[1]);
+    const body = lower.replace(TOPIC_HINT_REGEX, ' ');
+    const probabilities = topicProbabilities(body, taxonomy);
+
+    const scored = [];
+    for (const topic of taxonomy.topics) {
+      let score = 0;
+      const via = [];
+
+      if (hints.some(hint => topic.hints.has(hint))) {
+        score += TOPIC_HINT_SCORE;
+        via.push('hint');
+      }
+      const hashtags = countMatches(topic.hashtagRegex, body);
+      if (hashtags) {
+        score += TOPIC_HASHTAG_SCORE * hashtags;
+        via.push('hashtag');
+      }
+      // "game changer" says nothing about games
+      const prose = topic.excludeRegex ? body.replace(topic.excludeRegex, ' ') : body;
+      const keywords = countMatches(topic.keywordRegex, prose);
+      if (keywords) {
+        score += keywords;
+        via.push('keywords');
+      }
+      const probability = probabilities?.[topic.id] || 0;
+      if (probability >= 0.5) {
+        score += taxonomy.modelWeight * probability;
+        via.push('model');
+      }
+
+      if (score >= taxonomy.minScore || via.includes('hint')) scored.push({ topic: topic.id, score, via });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    const best = scored[0]?.score || 0;
+    const tags = scored
+      .filter(s => s.via.includes('hint') || s.score >= best * taxonomy.relativeWeight)
+      .slice(0, taxonomy.maxTags)
+      .map(s => ({ topic: s.topic, weight: Math.round((s.score / best) * 100) / 100, via: s.via }));
+    if (!tags.length) tags.push({ topic: taxonomy.fallback, weight: 1, via: ['fallback'] });
+
+    return { tag: tags[0].topic, tags };
+  }
+
+  function inferTag(text) {
+    return classifyTopics(text).tag;
+  }
+
+  // The single heuristic tag rows carried before topics, and the topic each became
+  const LEGACY_TAGS = { 'indie-games': 'games', 'indie-startups': 'saas', 'indie-software': 'software' };
+
+  // Older rows keep their tag under the new name (via 'legacy'), so tag
+  // diversity and the report don't split old and new rows; `retag --all`
+  // classifies them properly.
+  async function migrateLegacyTags() {
+    for (const [legacy, topic] of Object.entries(LEGACY_TAGS)) {
+      const tags = JSON.stringify([{ topic, weight: 1, via: ['legacy'] }]);
+      const result = await dbRunResult(
+        'UPDATE post_queue SET tag = ?, tags = COALESCE(tags, ?) WHERE tag = ?',
+        [topic, tags, legacy]
+      );
+      if (result.changes) {
+        dbLog.info('db.tags_migrated', `🏷️ Renamed tag ${legacy} to ${topic} on ${result.changes} queue items`, {
+          from: legacy,
+          to: topic,
+          count: result.changes
+        });
+      }
+    }
+  }
+
+  // What a topic was called before, for site category pages that still use the old slugs
+  function legacyTag(topic) {
+    return Object.keys(LEGACY_TAGS).find(legacy => LEGACY_TAGS[legacy] === topic) || 'indie-software';
+  }
+
+  // Stored topics for a queue row; rows from before topics were stored are classified now
+  function queueItemTopics(item) {
+    if (item.tags) return { tag: item.tag, tags: JSON.parse(item.tags) };
+    return classifyTopics(item.text);
+  }
+
+  // "#IndieGames #AI" for the spotlight text, from the topics' hashtags
+  function topicHashtags(tags) {
+    const taxonomy = loadTopics();
+    return tags
+      .map(t => taxonomy.topics.find(topic => topic.id === t.topic)?.hashtag)
+      .filter(Boolean)
+      .map(hashtag => `#${hashtag}`)
+      .join(' ');
+  }
+
+  function describeTopics(topics) {
+    return topics.tags.map(t => `${t.topic}(${t.weight}: ${t.via.join('+')})`).join(', ');
+  }
+
+  // Manual topics win over the classifier and are kept by retagging
+  async function setQueueTopics(id, topicIds) {
+    const known = new Set(loadTopics().topics.map(t => t.id));
+    const unknown = topicIds.filter(t => !known.has(t));
+    if (!topicIds.length || unknown.length) {
+      throw new Error(unknown.length ? `Unknown topics: ${unknown.join(', ')}` : 'At least one topic is required');
+    }
+
+    const tags = topicIds.map(topic => ({ topic, weight: 1, via: ['manual'] }));
+    const result = await dbRunResult('UPDATE post_queue SET tag = ?, tags = ? WHERE id = ?', [tags[0].topic, JSON.stringify(tags), id]);
+    return result.changes > 0;
+  }
+
+  // Re-runs the classifier over queue rows (all of them, or one), keeping manual topics
+  async function retagQueue(id = null) {
+    const rows = id
+      ? await dbAll('SELECT id, text, tags FROM post_queue WHERE id = ?', [id])
+      : await dbAll('SELECT id, text, tags FROM post_queue');
+
+    let changed = 0;
+    for (const row of rows) {
+      if (row.tags && JSON.parse(row.tags).some(t => t.via.includes('manual'))) continue;
+      const topics = classifyTopics(row.text);
+      const tags = JSON.stringify(topics.tags);
+      if (tags === row.tags) continue;
+      await dbRun('UPDATE post_queue SET tag = ?, tags = ? WHERE id = ?', [topics.tag, tags, row.id]);
+      changed++;
+    }
+    topicLog.info('topics.retagged', `🏷️ Retagged ${changed} of ${rows.length} queue items`, { changed, total: rows.length });
+    return { changed, total: rows.length };
+  }
+
+  // Topics a person vouched for: set with retag, or named by the author
+  function confirmedTopics(tags) {
+    return tags.filter(t => t.via.includes('manual') || t.via.includes('hint')).map(t => t.topic);
+  }
+
+  // Naive Bayes over queue rows with confirmed topics only (the classifier's own
+  // guesses would just teach the model its mistakes): each row counts toward
+  // every confirmed topic, and toward "the rest" for all others
+  async function trainTopicModel(outPath = config.TOPIC_MODEL_PATH) {
+    const known = new Set(loadTopics().topics.map(t => t.id));
+    const rows = (await dbAll("SELECT text, tags FROM post_queue WHERE status != 'rejected' AND tags IS NOT NULL"))
+      .map(row => ({ text: row.text, labels: confirmedTopics(JSON.parse(row.tags)).filter(topic => known.has(topic)) }))
+      .filter(row => row.labels.length);
+
+    const all = { tokens: 0, words: {} };
+    const topics = {};
+    for (const row of rows) {
+      const tokens = topicTokens(row.text);
+      all.tokens += tokens.length;
+      for (const token of tokens) all.words[token] = (all.words[token] || 0) + 1;
+
+      for (const topic of row.labels) {
+        const stats = topics[topic] || (topics[topic] = { documents: 0, tokens: 0, words: {} });
+        stats.documents++;
+        stats.tokens += tokens.length;
+        for (const token of tokens) stats.words[token] = (stats.words[token] || 0) + 1;
+      }
+    }
+
+    // a topic needs examples on both sides
+    for (const [topic, stats] of Object.entries(topics)) {
+      if (stats.documents < TOPIC_MODEL_MIN_DOCS || rows.length - stats.documents < TOPIC_MODEL_MIN_DOCS) delete topics[topic];
+    }
+    if (!Object.keys(topics).length) {
+      throw new Error(`Not enough posts with confirmed topics to train on (need ${TOPIC_MODEL_MIN_DOCS} with and without a topic)`);
+    }
+
+    const model = { trainedAt: new Date().toISOString(), documents: rows.length, all, topics };
+    fs.writeFileSync(outPath, JSON.stringify(model));
+    topicLog.info('topics.trained', `🧠 Trained topic model on ${rows.length} posts → ${outPath}`, {
+      path: outPath,
+      documents: rows.length
+    });
+
+    return {
+      path: outPath,
+      documents: rows.length,
+      topics: Object.fromEntries(Object.entries(topics).map(([topic, stats]) => [topic, stats.documents]))
+    };
+  }
+
+  // ---------------- WEBSITE PUSH ----------------
+
+  // Spotlights are written to the outbox first, keyed by queue item, so a
+  // replay or re-sync of the same spotlight carries the same Idempotency-Key.
+  function sitePayload(item, postUrl, excerpt) {
+    const topics = queueItemTopics(item);
+    return {
+      author_handle: item.author,
+      author_did: item.author_did,
+      content: excerpt,
+      post_url: postUrl,
+      tag: topics.tag,
+      legacy_tag: legacyTag(topics.tag),
+      tags: topics.tags.map(t => t.topic),
+      tag_weights: Object.fromEntries(topics.tags.map(t => [t.topic, t.weight])),
+      links: JSON.parse(item.link_meta || '[]').map(link => ({
+        url: link.finalUrl,
+        title: link.title || null,
+        description: link.description || null,
+        image: link.image || null,
+        project: link.project || null
+      })),
+      source_uri: item.uri,
+      spotlight_uri: item.spotlight_uri || null,
+      spotlight_cid: item.spotlight_cid || null,
+      posted_at: new Date(item.posted_at || Date.now()).toISOString()
+    };
+  }
+
+  async function sendSpotlightToSite(item, postUrl, excerpt) {
+    if (!config.SPOTLIGHT_API_URL) return;
+
+    const id = await addToOutbox({
+      target: 'site',
+      event: 'spotlight',
+      queueId: item.id,
+      postUri: item.spotlight_uri,
+      postCid: item.spotlight_cid,
+      url: `${config.SPOTLIGHT_API_URL}/api/spotlights`,
+      payload: sitePayload(item, postUrl, excerpt),
+      key: `site:spotlight:${item.id}`
+    });
+    if (id) await deliverOutbox();
+  }
+
+  // Pushes posted spotlights from the last `days` that the site never got; with
+  // `force` also the ones it did, rebuilt from the current row (same
+  // idempotency keys, so the site can update the spotlight in place)
+  async function resyncSiteSpotlights(days = 30, force = false) {
+    if (!config.SPOTLIGHT_API_URL) throw new Error('SPOTLIGHT_API_URL is not set');
+
+    const items = await dbAll(
+      "SELECT * FROM post_queue WHERE status = 'posted' AND posted_at >= ? ORDER BY posted_at ASC",
+      [Date.now() - days * 24 * 60 * 60 * 1000]
+    );
+
+    let queued = 0;
+    for (const item of items) {
+      const postUrl = queueItemUrl(item);
+      if (!postUrl) continue;
+
+      // rows posted before excerpts were stored fall back to the whole text
+      const payload = sitePayload(item, postUrl, item.excerpt ?? stripTags(item.text));
+      const id = await addToOutbox({
+        target: 'site',
+        event: 'spotlight',
+        queueId: item.id,
+        postUri: item.spotlight_uri,
+        postCid: item.spotlight_cid,
+        url: `${config.SPOTLIGHT_API_URL}/api/spotlights`,
+        payload,
+        key: `site:spotlight:${item.id}`
+      });
+      if (id) {
+        queued++;
+      } else if (force) {
+        const existing = await dbGet('SELECT id FROM outbox WHERE idempotency_key = ?', [`site:spotlight:${item.id}`]);
+        if (await replayOutboxItem(existing.id, payload)) queued++;
+      }
+    }
+
+    outboxLog.info('site.resync', `🌐 Re-sync queued ${queued} of ${items.length} spotlights from the last ${days} days`, {
+      queued,
+      spotlights: items.length,
+      days
+    });
+    if (queued) await deliverOutbox();
+    return { spotlights: items.length, queued };
+  }
+
+  // ---------------- OUTBOX ----------------
+
+  // Deliveries are POSTed as JSON with an Idempotency-Key, and signed when the
+  // target has a secret: X-Spotlight-Signature is sha256=HMAC(secret,
+  // "<X-Spotlight-Timestamp>.<body>"). Network errors, 408, 429 and 5xx are
+  // retried with exponential backoff; other responses fail the item.
+
+  const OUTBOX_RETRY_BASE_MS = 60 * 1000;
+  const OUTBOX_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+  const OUTBOX_TIMEOUT_MS = 15 * 1000;
+
+  let outboxRunning = false;
+
+  function outboxSecret(target) {
+    if (target === 'site') return config.SPOTLIGHT_API_SECRET;
+    return webhooks.find(hook => `webhook:${hook.name}` === target)?.secret || '';
+  }
+
+  function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  async function deliverOutboxItem(item) {
+    const body = JSON.stringify(item.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': item.idempotency_key,
+      'X-Spotlight-Event': item.event,
+      'X-Spotlight-Timestamp': timestamp
+    };
+    const secret = outboxSecret(item.target);
+    if (secret) headers['X-Spotlight-Signature'] = signPayload(secret, timestamp, body);
+
+    const attempts = item.attempts + 1;
+    let httpStatus = null;
+    let error = null;
+
+    try {
+      const resp = await performWrite(item.target === 'site' ? 'site-push' : item.target, { url: item.url, body: item.payload }, () =>
+        fetch(item.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(OUTBOX_TIMEOUT_MS) })
+      );
+      if (!resp || resp.ok) {
+        // no response = dry run, journaled instead of sent
+        await recordOutboxAttempt(item.id, { status: 'delivered', attempts, httpStatus: resp?.status ?? null });
+        outboxLog.info('outbox.delivered', `🌐 Delivered ${item.event} #${item.id} to ${item.target}`, {
+          id: item.id,
+          target: item.target,
+          event: item.event,
+          attempts
+        });
+        return true;
+      }
+      httpStatus = resp.status;
+      error = (await resp.text().catch(() => '')).slice(0, 200) || `HTTP ${resp.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const retryable = httpStatus === null || httpStatus === 408 || httpStatus === 429 || httpStatus >= 500;
+    if (retryable && attempts < config.OUTBOX_MAX_ATTEMPTS) {
+      const delay = Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1));
+      await recordOutboxAttempt(item.id, { status: 'pending', attempts, nextAttemptAt: Date.now() + delay, httpStatus, error });
+      outboxLog.warn('outbox.retry', `🌐 ${item.target} delivery #${item.id} failed (${error}), retry ${attempts}/${config.OUTBOX_MAX_ATTEMPTS - 1} in ${Math.round(delay / 1000)}s`, {
+        id: item.id,
+        target: item.target,
+        attempts,
+        delayMs: delay,
+        code: httpStatus,
+        error
+      });
+    } else {
+      await recordOutboxAttempt(item.id, { status: 'failed', attempts, httpStatus, error });
+      outboxLog.error('outbox.failed', `🌐 ${item.target} delivery #${item.id} failed for good after ${attempts} attempts: ${error}`, {
+        id: item.id,
+        target: item.target,
+        attempts,
+        code: httpStatus,
+        error
+      });
+    }
+    return false;
+  }
+
+  async function deliverOutbox() {
+    if (outboxRunning) return;
+    outboxRunning = true;
+
+    try {
+      let items;
+      while ((items = await getDueOutboxItems()).length) {
+        let delivered = 0;
+        for (const item of items) {
+          if (await deliverOutboxItem(item)) delivered++;
+        }
+        if (!delivered) break; // everything due is failing; leave it to the retry schedule
+      }
+
+      const pruned = await pruneOutbox();
+      if (pruned) {
+        outboxLog.info('outbox.pruned', `🧹 Pruned ${pruned} delivered outbox items older than ${config.OUTBOX_RETENTION_DAYS} days`, { pruned });
+      }
+    } catch (err) {
+      outboxLog.error('outbox.error', `Outbox error: ${err.message}`, errorFields(err));
+    } finally {
+      outboxRunning = false;
+    }
+  }
+
+  // ---------------- EVENTS ----------------
+
+  // Bot activity is emitted as typed events to in-process listeners (onEvent)
+  // and to the webhooks in webhooks.json. Webhook deliveries go through the
+  // outbox as target `webhook:<name>`, so they're retried and signed like the
+  // website push. A listener failing never affects the caller.
+
+  const EVENT_TYPES = [
+    'submission.queued', 'post.rejected', 'post.filtered', 'spotlight.posted', 'user.blocklisted',
+    'follow.created', 'follow.deleted', 'login.failed'
+  ];
+
+  // One per post the filters, moderation or link checks turn away; a webhook
+  // has to name these itself, '*' and 'post.*' leave them out
+  const UNMATCHED_BY_WILDCARD = ['post.filtered'];
+
+  const eventListeners = new Map(); // event type or '*' -> listeners
+  let webhooks = [];
+  let outboxAutoFlush = false; // the running bot delivers right away; the CLI leaves it to the bot
+
+  function onEvent(type, listener) {
+    if (!eventListeners.has(type)) eventListeners.set(type, []);
+    eventListeners.get(type).push(listener);
+  }
+
+  async function emitEvent(type, data) {
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    const listeners = [...(eventListeners.get(type) || []), ...(eventListeners.get('*') || [])];
+    for (const listener of listeners) {
+      try {
+        await listener(event);
+      } catch (err) {
+        eventLog.error('listener.failed', `Event listener error (${type}): ${err.message}`, { type, ...errorFields(err) });
+      }
+    }
+    return event;
+  }
+
+  // '*', an exact type, or a prefix such as 'post.*'
+  function eventMatches(patterns, type) {
+    const wildcard = !UNMATCHED_BY_WILDCARD.includes(type);
+    return patterns.some(pattern =>
+      pattern === type || (wildcard && (pattern === '*' || (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)))))
+    );
+  }
+
+  // Renders {{var}} in every string value of a JSON template
+  function renderPayloadTemplate(template, vars) {
+    if (typeof template === 'string') return renderTemplate(template, vars);
+    if (Array.isArray(template)) return template.map(value => renderPayloadTemplate(value, vars));
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderPayloadTemplate(value, vars)]));
+    }
+    return template;
+  }
+
+  function compileWebhooks(raw) {
+    if (!Array.isArray(raw.webhooks)) throw new Error('"webhooks" must be an array');
+    const names = new Set();
+
+    return raw.webhooks.map((hook, i) => {
+      const where = `webhooks[${i}]`;
+      if (!/^[\w-]+$/.test(hook.name || '')) throw new Error(`${where}: "name" must be letters, digits, - or _`);
+      if (names.has(hook.name)) throw new Error(`${where}: duplicate name "${hook.name}"`);
+      names.add(hook.name);
+      if (!/^https?:\/\//.test(hook.url || '')) throw new Error(`${where}: "url" must be an http(s) URL`);
+
+      const events = hook.events || ['*'];
+      for (const pattern of events) {
+        if (pattern !== '*' && !pattern.endsWith('.*') && !EVENT_TYPES.includes(pattern)) {
+          throw new Error(`${where}: unknown event "${pattern}" (expected one of ${EVENT_TYPES.join(', ')})`);
+        }
+      }
+      if (hook.template !== undefined && (typeof hook.template !== 'object' || hook.template === null || Array.isArray(hook.template))) {
+        throw new Error(`${where}: "template" must be a JSON object`);
+      }
+
+      return {
+        name: hook.name,
+        url: hook.url,
+        events,
+        template: hook.template,
+        secret: hook.secretEnv ? env[hook.secretEnv] || '' : hook.secret || ''
+      };
+    });
+  }
+
+  // Optional file; a broken one is fatal so a typo can't silently drop events
+  function loadWebhooks() {
+    if (!fs.existsSync(config.WEBHOOKS_PATH)) {
+      webhooks = [];
+      return;
+    }
+    webhooks = compileWebhooks(JSON.parse(fs.readFileSync(config.WEBHOOKS_PATH, 'utf8')));
+    eventLog.info('webhooks.loaded', `🪝 Loaded ${webhooks.length} webhooks from ${config.WEBHOOKS_PATH}`, {
+      path: config.WEBHOOKS_PATH,
+      webhooks: webhooks.length
+    });
+  }
+
+  // Without a template the payload is the event itself: { id, type, createdAt, data }
+  async function queueWebhookDeliveries(event) {
+    let queued = 0;
+    for (const hook of webhooks) {
+      if (!eventMatches(hook.events, event.type)) continue;
+
+      const vars = { event: event.type, eventId: event.id, createdAt: event.createdAt, ...event.data };
+      const payload = hook.template === undefined ? event : renderPayloadTemplate(hook.template, vars);
+      const id = await addToOutbox({
+        target: `webhook:${hook.name}`,
+        event: event.type,
+        url: hook.url,
+        payload,
+        key: `webhook:${hook.name}:${event.id}`
+      });
+      if (id) queued++;
+    }
+    if (queued && outboxAutoFlush) deliverOutbox();
+  }
+
+  onEvent('*', queueWebhookDeliveries);
+
+  // ---------------- COMMANDS ----------------
+
+  // Mentions (and replies to the bot) can carry a command as their first word
+  // after any leading @mentions, e.g. "@bot submit https://…" or "@bot status".
+  // Handlers return the reply text so other channels can reuse them.
+
+  const BSKY_POST_URL = /^https?:\/\/(?:www\.)?bsky\.app\/profile\/([^/\s]+)\/post\/([a-z0-9]+)/i;
+
+  // Only submit takes free text after the command word, and notify an on/off
+  // switch. The rest count only as the whole message, so "Stop by our booth",
+  // "Status update: v1.0 shipped!" or "Help wanted…" aren't taken as commands.
+  function commandAcceptsArgs(command, args) {
+    if (command === 'submit') return true;
+    if (command === 'notify') return /^(on|off|stop|no)[!.]*$/i.test(args);
+    return false;
+  }
+
+  function parseCommand(text) {
+    const body = (text || '')
+      .trim()
+      .replace(/^(@[\w.-]+[\s,:]*)+/, '')
+      .replace(/^opt\s+(out|in)\b/i, 'opt$1');
+
+    const [word = '', ...rest] = body.split(/\s+/);
+    const alias = word.toLowerCase().replace(/[!.,:]+$/, '');
+    const command = Object.hasOwn(config.COMMAND_ALIASES, alias) ? config.COMMAND_ALIASES[alias] : null;
+    if (!command) return null;
+    const args = rest.join(' ').trim();
+    if (args && !commandAcceptsArgs(command, args)) return null;
+    return { command, args };
+  }
+
+  async function resolvePostLink(link) {
+    if (link.startsWith('at://')) return link;
+    const match = BSKY_POST_URL.exec(link);
+    if (!match) return null;
+
+    let actor = decodeURIComponent(match[1]);
+    if (!actor.startsWith('did:')) {
+      actor = (await agent.resolveHandle({ handle: actor })).data.did;
+    }
+    return `at://${actor}/app.bsky.feed.post/${match[2]}`;
+  }
+
+  async function unfollowOnRequest(did, handle) {
+    try {
+      const profile = await agent.getProfile({ actor: did });
+      if (profile.data.viewer?.following) {
+        await unfollow({ did, handle, follow_uri: profile.data.viewer.following }, 'request', 'user request');
+      } else {
+        await removeFollowed(did);
+      }
+    } catch (err) {
+      followingLog.error('unfollow.failed', `Unfollow error: ${err.message}`, { did, ...errorFields(err) });
+    }
+  }
+
+  // `origin` is the post or message that carried the command:
+  // { uri, cid, record, parentUri, source }
+  async function submitCommand(user, args, origin) {
+    if (await isBlocked(user.did)) {
+      return 'You opted out earlier, so I can’t take submissions from you. Send "optin" first if you’d like to come back.';
+    }
+
+    const links = [...recordLinks({ ...origin.record, text: args }), ...(origin.parentUri ? [origin.parentUri] : [])];
+    let queued;
+    let postUri = null;
+    for (const link of links) {
+      postUri = await resolvePostLink(link).catch(() => null);
+      if (postUri) break;
+    }
+
+    if (postUri) {
+      const resp = await agent.getPosts({ uris: [postUri] });
+      const post = resp.data.posts[0];
+      if (!post) return 'I couldn’t find that post — is the link right?';
+      if (await isBlocked(post.author.did)) return 'Sorry, that account has opted out of spotlights.';
+      const excluded = moderationReason(post);
+      if (excluded) {
+        await addExclusion(post.uri, post.author.did, post.author.handle, excluded, origin.source);
+        return 'Sorry, I can’t feature that post.';
+      }
+      if (await isPosted(post.uri)) return 'That post is already in the queue (or has been spotlighted).';
+      const linkCheck = await inspectPostLinks(post.record);
+      if (linkCheck.rejected) {
+        await rejectForLink(linkCheck.rejected, {
+          author: post.author.handle,
+          authorDid: post.author.did,
+          uri: post.uri,
+          source: origin.source,
+          text: post.record?.text || ''
+        });
+        return `Sorry, I can’t feature that post’s link (${linkCheck.rejected.reason}).`;
+      }
+      if (origin.source === 'dm') await subscribeToDms(user.did, user.handle);
+
+      queued = await addToQueue({
+        author: post.author.handle,
+        authorDid: post.author.did,
+        text: post.record?.text || '',
+        uri: post.uri,
+        timestamp: Date.now(),
+        source: origin.source,
+        displayName: post.author.displayName,
+        cid: post.cid,
+        embed: extractEmbedMeta(post.record, post.embed, post.author.did),
+        record: post.record,
+        links: linkCheck.links
+      });
+      await markAsPosted(post.uri);
+    } else if (links.length) {
+      // an outside link: the submission itself becomes the spotlighted post,
+      // or for a direct message (no post to point at) the link
+      const uri = origin.uri || null;
+      const linkUrl = uri ? null : links[0];
+      if (uri ? await isPosted(uri) : await isLinkQueued(linkUrl)) return 'Already got this one!';
+      const linkCheck = await inspectPostLinks({ ...origin.record, text: args });
+      if (linkCheck.rejected) {
+        await rejectForLink(linkCheck.rejected, {
+          author: user.handle,
+          authorDid: user.did,
+          uri,
+          link: linkUrl,
+          source: origin.source,
+          text: args
+        });
+        return `Sorry, I can’t feature that link (${linkCheck.rejected.reason}).`;
+      }
+      if (origin.source === 'dm') await subscribeToDms(user.did, user.handle);
+      queued = await addToQueue({
+        author: user.handle,
+        authorDid: user.did,
+        text: args,
+        uri,
+        linkUrl,
+        timestamp: Date.now(),
+        source: origin.source,
+        displayName: user.displayName,
+        cid: origin.cid,
+        embed: extractEmbedMeta(origin.record, null, user.did),
+        record: { ...origin.record, text: args },
+        links: linkCheck.links
+      });
+      if (uri) await markAsPosted(uri);
+    } else {
+      return 'Send "submit" with a link to your project or to your Bluesky post (or reply "submit" under that post).';
+    }
+
+    if (!queued) return 'The queue is full right now — please try again in a few days.';
+    if (queued.duplicateOf) return 'That project was already submitted recently, so I won’t queue it twice.';
+
+    commandLog.info('submission.received', `✅ [${origin.source}] Submission via command from @${user.handle}`, {
+      authorDid: user.did,
+      source: origin.source
+    });
+    const reply = config.AUTO_APPROVE
+      ? 'Thanks! Your project is in the queue. Send "status" any time to see where it is.'
+      : 'Thanks! Your project is queued for review. Send "status" any time to see where it is.';
+    return origin.source === 'dm'
+      ? `${reply} I’ll message you here when it’s approved and when it’s posted ("notify off" to stop).`
+      : reply;
+  }
+
+  async function notifyCommand(user, args) {
+    if (/^(off|stop|no)\b/i.test(args)) {
+      return (await unsubscribeFromDms(user.did))
+        ? 'Okay, no more direct messages about your submissions.'
+        : 'You weren’t getting direct messages from me anyway.';
+    }
+    if (!config.CHAT_ENABLED) return 'Sorry, direct messages aren’t switched on for this bot.';
+
+    await subscribeToDms(user.did, user.handle);
+    if (!(await canMessage(user.did))) {
+      return 'Okay! Your chat settings don’t let me message you yet — allow messages from everyone, or follow me, to get them.';
+    }
+    return 'Okay! I’ll send you a direct message when your submission is approved and when it’s posted.';
+  }
+
+  async function statusCommand(user) {
+    const items = await getAuthorQueueItems(user.did);
+    if (!items.length) return 'You have nothing in the queue right now.';
+
+    const order = await getScheduledOrder();
+    const lines = items.slice(0, 3).map(item => {
+      if (item.status === 'pending') return '• waiting for review';
+      const position = order.findIndex(o => o.id === item.id) + 1;
+      return `• #${position} of ${order.length} in line`;
+    });
+    return `Your queued ${items.length === 1 ? 'post' : 'posts'}:\n${lines.join('\n')}`;
+  }
+
+  async function runUserCommand(command, args, user, origin) {
+    switch (command) {
+      case 'submit':
+        return await submitCommand(user, args, origin);
+      case 'withdraw': {
+        const removed = await withdrawAuthorSubmissions(user.did);
+        return removed
+          ? `Done — removed ${removed} queued ${removed === 1 ? 'post' : 'posts'}.`
+          : 'You have nothing in the queue to withdraw.';
+      }
+      case 'status':
+        return await statusCommand(user);
+      case 'optout':
+        await addToBlocklist(user.did, user.handle, 'user request');
+        await withdrawAuthorSubmissions(user.did);
+        await unsubscribeFromDms(user.did);
+        await unfollowOnRequest(user.did, user.handle);
+        return 'Got it — I won’t feature or follow you. Sorry about that! Send "optin" if you change your mind.';
+      case 'optin':
+        if (!(await removeFromBlocklist(user.did))) return 'You’re not opted out — nothing to change.';
+        commandLog.info('optin', `✅ @${user.handle} opted back in`, { did: user.did });
+        return 'Welcome back! You can be spotlighted again — send "submit" with a link to put a project forward.';
+      case 'notify':
+        return await notifyCommand(user, args);
+      default:
+        return 'Commands: submit <link>, withdraw, status, notify [off], optout, optin.';
+    }
+  }
+
+  async function replyToNotification(notif, text) {
+    const parent = { uri: notif.uri, cid: notif.cid };
+    try {
+      await createPost({
+        text,
+        reply: { root: notif.record?.reply?.root || parent, parent }
+      });
+    } catch (err) {
+      commandLog.error('reply.failed', `Reply error: ${err.message}`, { uri: notif.uri, ...errorFields(err) });
+    }
+  }
+
+  // ---------------- DIRECT MESSAGES ----------------
+
+  // Unread conversations are read through the chat API: a message is a command
+  // (same language as mentions), a link or shared post to submit, or anything
+  // else, which gets the help text. Authors in dm_subscribers are messaged when
+  // their submission is approved and when it's posted.
+
+  // Mirrors the chat setting: 'all', 'following' (the default) or 'none'
+  async function canMessage(did) {
+    const profile = await agent.getProfile({ actor: did });
+    const allowIncoming = profile.data.associated?.chat?.allowIncoming || 'following';
+    if (allowIncoming === 'all') return true;
+    if (allowIncoming === 'following') return !!profile.data.viewer?.followedBy;
+    return false;
+  }
+
+  async function handleDirectMessage(convo, member, message) {
+    const user = { did: member.did, handle: member.handle, displayName: member.displayName };
+    const record = { text: message.text || '', facets: message.facets };
+    await recordInteraction(user.did, Date.parse(message.sentAt) || Date.now());
+    const sharedPost = message.embed?.record?.uri;
+
+    const parsed = parseCommand(record.text) ||
+      (sharedPost || recordLinks(record).length ? { command: 'submit', args: record.text } : { command: 'help', args: '' });
+    dmLog.info('dm.command', `✉️ DM command "${parsed.command}" from @${user.handle}`, {
+      command: parsed.command,
+      did: user.did
+    });
+
+    let reply;
+    try {
+      reply = await runUserCommand(parsed.command, parsed.args, user, {
+        uri: null,
+        cid: null,
+        record,
+        parentUri: sharedPost,
+        source: 'dm'
+      });
+    } catch (err) {
+      dmLog.error('dm.command_failed', `DM command "${parsed.command}" failed: ${err.message}`, {
+        command: parsed.command,
+        did: user.did,
+        ...errorFields(err)
+      });
+      reply = 'Sorry, something went wrong on my side. Please try again later.';
+    }
+
+    try {
+      await sendDirectMessage({ convoId: convo.id, text: reply });
+    } catch (err) {
+      dmLog.error('dm.reply_failed', `DM reply error: ${err.message}`, { did: user.did, ...errorFields(err) });
+    }
+  }
+
+  async function processIncomingMessages() {
+    const botDid = agent.session?.did;
+    let cursor;
+
+    for (let page = 0; page < config.INGEST_MAX_PAGES; page++) {
+      const resp = await chatCall('chat.bsky.convo.listConvos', { params: { limit: 50, cursor } });
+      const unread = resp.convos.filter(convo => convo.unreadCount > 0);
+
+      for (const convo of unread) {
+        const member = convo.members.find(m => m.did !== botDid);
+        if (!member) continue;
+
+        // per-conversation high-water, so a failed updateRead can't replay commands
+        const source = `dm:${convo.id}`;
+        const { high_water: highWater = 0 } = await getIngestCursor(source);
+        const { messages } = await chatCall('chat.bsky.convo.getMessages', {
+          params: { convoId: convo.id, limit: Math.min(convo.unreadCount, 100) }
+        });
+        const incoming = messages
+          .filter(m => m.sender?.did === member.did && m.text !== undefined && Date.parse(m.sentAt) > highWater)
+          .reverse(); // newest first from the API
+
+        for (const message of incoming) {
+          await handleDirectMessage(convo, member, message);
+          await saveHighWater(source, Date.parse(message.sentAt));
+        }
+        await markConvoRead(convo.id);
+      }
+
+      // conversations come most recently active first, so stop once past the unread ones
+      cursor = resp.cursor;
+      if (!cursor || unread.length < resp.convos.length) break;
+    }
+  }
+
+  async function sendDmNotifications() {
+    const items = await getPendingDmNotifications();
+    if (!items.length) return;
+    const order = await getScheduledOrder();
+
+    for (const item of items) {
+      let text;
+      if (item.status === 'posted') {
+        const url = item.spotlight_uri?.startsWith('at://')
+          ? convertAtUriToWebUrl(item.spotlight_uri, agent.session?.handle)
+          : null;
+        text = url ? `Your spotlight is live: ${url}` : 'Your spotlight has been posted!';
+      } else {
+        const position = order.findIndex(o => o.id === item.id) + 1;
+        text = position
+          ? `Good news — your submission was approved and is #${position} in line for a spotlight.`
+          : 'Good news — your submission was approved for a spotlight.';
+      }
+
+      try {
+        if (await canMessage(item.author_did)) {
+          await sendDirectMessage({ did: item.author_did, text });
+          dmLog.info('dm.notified', `✉️ Messaged @${item.author} (${item.status})`, {
+            id: item.id,
+            authorDid: item.author_did,
+            status: item.status
+          });
+        } else {
+          dmLog.info('dm.not_allowed', `✉️ @${item.author} doesn't accept messages from the bot, skipping`, {
+            id: item.id,
+            authorDid: item.author_did
+          });
+        }
+        await markDmNotified(item.id, item.status);
+      } catch (err) {
+        dmLog.error('dm.notify_failed', `DM notification error for @${item.author}: ${err.message}`, {
+          id: item.id,
+          authorDid: item.author_did,
+          ...errorFields(err)
+        });
+        // 4xx won't get better by retrying every check
+        if (err.status >= 400 && err.status < 500) await markDmNotified(item.id, item.status);
+      }
+    }
+  }
+
+  async function checkDirectMessages() {
+    try {
+      await processIncomingMessages();
+      await sendDmNotifications();
+    } catch (err) {
+      dmLog.error('dm.check_failed', `Direct message error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  // ---------------- DISCOVERY ----------------
+
+  // Pages a newest-first listing back to the source's high-water mark (at most
+  // INGEST_MAX_PAGES pages; only the first page for a source never seen before)
+  // and returns the unseen items oldest first. Call save() once they have been
+  // handled so a crash mid-run re-reads them instead of skipping them.
+  //
+  // When the pages run out before the mark is reached (a busy hour), the resume
+  // cursor is saved and the mark stays where it was; the next runs carry on from
+  // the cursor until they reach it, and only then does the mark move up to the
+  // newest item seen.
+  async function fetchSinceHighWater(source, fetchPage, itemTime) {
+    const state = await getIngestCursor(source);
+    const highWater = state.high_water || 0;
+    const backlog = !!(highWater && state.cursor);
+    const maxPages = highWater ? config.INGEST_MAX_PAGES : 1;
+
+    const fresh = [];
+    let newest = Math.max(highWater, state.backlog_high_water || 0);
+    let cursor = backlog ? state.cursor : undefined;
+    let resumeCursor = null;
+
+    for (let page = 0; page < maxPages; page++) {
+      const { items, cursor: next } = await fetchPage(cursor);
+      let reachedSeen = false;
+
+      for (const item of items) {
+        const time = Date.parse(itemTime(item)) || 0;
+        // pinned posts and reposts can be out of order, so finish the page
+        if (highWater && time <= highWater) {
+          reachedSeen = true;
+          continue;
+        }
+        fresh.push(item);
+        newest = Math.max(newest, time);
+      }
+
+      if (reachedSeen || !next || !items.length) break;
+      cursor = next;
+      // out of pages with the mark not reached yet: resume here next time
+      if (highWater && page === maxPages - 1) resumeCursor = next;
+    }
+
+    return {
+      items: fresh.reverse(),
+      newest,
+      save: async () => {
+        if (resumeCursor) {
+          await saveIngestState(source, { cursor: resumeCursor, highWater, backlogHighWater: newest });
+        } else if (backlog || newest > highWater) {
+          await saveIngestState(source, { cursor: null, highWater: newest, backlogHighWater: null });
+        }
+      }
+    };
+  }
+
+  function feedItemTime(feedItem) {
+    return feedItem.reason?.indexedAt || feedItem.post?.indexedAt;
+  }
+
+  async function fetchAuthorFeedSince(actor) {
+    return await fetchSinceHighWater(`feed:${actor}`, async cursor => {
+      const resp = await agent.getAuthorFeed({ actor, limit: 30, cursor });
+      return { items: resp.data.feed, cursor: resp.data.cursor };
+    }, feedItemTime);
+  }
+
+  async function addPostIfRelevant(post, sourceLabel = 'search') {
+    const uri = post?.uri;
+    if (!uri) return;
+    if (await isPosted(uri)) return;
+
+    // NEW: Check post age
+    if (isPostTooOld(post)) {
+      discoveryLog.debug('post.too_old', `⏰ Skipped old post (>${config.MAX_POST_AGE_DAYS} days) from @${post?.author?.handle || 'unknown'}`, {
+        uri,
+        source: sourceLabel
+      });
+      return;
+    }
+
+    const text = post?.record?.text || post?.text || '';
+    if (!text) return;
+
+    const authorHandle = post?.author?.handle || 'unknown';
+    const authorDid = post?.author?.did || 'unknown';
+
+    if (await isBlocked(authorDid)) {
+      discoveryLog.debug('post.blocked_author', `⛔ Skipped blocked user: @${authorHandle}`, { uri, authorDid, source: sourceLabel });
+      return;
+    }
+
+    // prevent self
+    const ownHandle = (env.BLUESKY_USERNAME || '').replace('.bsky.social', '');
+    if (authorHandle === ownHandle || authorHandle.includes(ownHandle)) {
+      return;
+    }
+
+    const excluded = moderationReason(post);
+    if (excluded) {
+      await excludePost(post, excluded, sourceLabel);
+      return;
+    }
+
+    const result = scorePost(text, sourceLabel, post?.record || null);
+    if (!result.accepted) {
+      (config.LOG_FILTER_REJECTS ? discoveryLog.info : discoveryLog.debug)('post.filtered', `🚫 [${sourceLabel}] Rejected post from @${authorHandle} (${describeScore(result)})`, {
+        uri,
+        authorDid,
+        source: sourceLabel,
+        score: result.score
+      });
+      await emitEvent('post.filtered', {
+        author: authorHandle,
+        authorDid,
+        uri,
+        source: sourceLabel,
+        text,
+        reason: `filters: ${describeScore(result)}`,
+        reviewer: 'filters'
+      });
+      return;
+    }
+
+    const linkCheck = await inspectPostLinks(post?.record || { text });
+    if (linkCheck.rejected) {
+      await rejectForLink(linkCheck.rejected, { author: authorHandle, authorDid, uri, source: sourceLabel, text });
+      return;
+    }
+
+    discoveryLog.info('post.queued', `✅ [${sourceLabel}] Queuing post from @${authorHandle}${config.AUTO_APPROVE ? '' : ' for review'} (${describeScore(result)})`, {
+      uri,
+      authorDid,
+      source: sourceLabel,
+      score: result.score
+    });
+    discoveryLog.debug('post.preview', `   Preview: ${(text || '').slice(0, 180).replace(/\n/g, ' ')}${text.length > 180 ? '…' : ''}`, { uri });
+
+    await addToQueue({
+      author: authorHandle,
+      authorDid,
+      text,
+      uri,
+      timestamp: Date.now(),
+      source: sourceLabel,
+      score: result.score,
+      scoreRules: result.fired,
+      displayName: post?.author?.displayName,
+      cid: post?.cid,
+      embed: extractEmbedMeta(post?.record, post?.embed, authorDid),
+      record: post?.record,
+      links: linkCheck.links
+    });
+
+    await markAsPosted(uri);
+    await autoFollow(authorDid, 'submission');
+  }
+
+  async function rejectForLink(rejected, data) {
+    (config.LOG_FILTER_REJECTS ? discoveryLog.info : discoveryLog.debug)('post.bad_link', `🔗 [${data.source}] Rejected post from @${data.author}: ${rejected.reason} (${rejected.url})`, {
+      uri: data.uri,
+      authorDid: data.authorDid,
+      source: data.source
+    });
+    await emitEvent('post.filtered', { ...data, reason: `links: ${rejected.reason} (${rejected.url})`, reviewer: 'links' });
+  }
+
+  // searchPosts doesn't promise newest-first order, so results are deduped by
+  // URI rather than cut off at a high-water mark. Paging stops at a page with
+  // nothing new or after INGEST_MAX_PAGES pages.
+  async function fetchUnseenSearchPosts(keyword) {
+    const fresh = [];
+    let cursor;
+    for (let page = 0; page < config.INGEST_MAX_PAGES; page++) {
+      const resp = await agent.app.bsky.feed.searchPosts({ q: keyword, limit: 25, cursor });
+      const unseen = await unseenSearchPosts(resp?.data?.posts || []);
+      fresh.push(...unseen);
+      if (!unseen.length || !resp?.data?.cursor) break;
+      cursor = resp.data.cursor;
+    }
+    return fresh;
+  }
+
+  async function searchStartupPosts() {
+    try {
+      discoveryLog.info('search.started', '🔎 Searching community hashtags...');
+
+      for (const keyword of config.SEARCH_TERMS) {
+        const source = `search:${keyword}`;
+        try {
+          const posts = await fetchUnseenSearchPosts(keyword);
+
+          discoveryLog.info('search.results', `   Found ${posts.length} new posts for "${keyword}"`, {
+            source,
+            count: posts.length
+          });
+
+          for (const post of posts) {
+            await addPostIfRelevant(post, source);
+            // marked after it's handled so a crash mid-run weighs it again
+            await markSearchSeen(post.uri, source);
+          }
+        } catch (err) {
+          discoveryLog.error('search.failed', `Search failed for "${keyword}": ${err.message}`, {
+            source,
+            ...errorFields(err)
+          });
+        }
+      }
+      await pruneSearchSeen();
+
+      const queueSize = await getQueueSize();
+      discoveryLog.info('search.completed', `📊 Search complete. Queue size: ${queueSize}`, { queueSize });
+    } catch (err) {
+      discoveryLog.error('search.error', `Search error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  async function searchFollowingNetwork() {
+    try {
+      discoveryLog.info('network.started', '🧭 Checking following network...');
+
+      // Work through the follow list 50 accounts per run, wrapping around at the end
+      const { cursor: followsCursor } = await getIngestCursor('network:follows');
+      const following = await agent.getFollows({
+        actor: env.BLUESKY_USERNAME,
+        limit: 50,
+        cursor: followsCursor || undefined
+      });
+
+      let checkedCount = 0;
+
+      for (const user of following.data.follows) {
+        try {
+          const { items, save } = await fetchAuthorFeedSince(user.did);
+
+          for (const feedItem of items) {
+            if (feedItem.post) {
+              await addPostIfRelevant(feedItem.post, `following:${user.handle}`);
+            }
+          }
+          await save();
+
+          checkedCount++;
+        } catch (err) {
+          discoveryLog.error('network.user_failed', `Error checking @${user.handle}: ${err.message}`, {
+            did: user.did,
+            ...errorFields(err)
+          });
+        }
+      }
+
+      await savePageCursor('network:follows', following.data.cursor || null);
+
+      const queueSize = await getQueueSize();
+      discoveryLog.info('network.completed', `📊 Network search complete (checked ${checkedCount} users). Queue: ${queueSize}`, {
+        checked: checkedCount,
+        queueSize
+      });
+    } catch (err) {
+      discoveryLog.error('network.error', `Network search error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  async function checkForSubmissions() {
+    try {
+      discoveryLog.info('mentions.started', '📨 Checking mentions & replies...');
+      const { items: notifications, newest, save } = await fetchSinceHighWater('notifications', async cursor => {
+        const resp = await agent.listNotifications({ limit: 50, cursor });
+        return { items: resp.data.notifications, cursor: resp.data.cursor };
+      }, notif => notif.indexedAt);
+      let foundCount = 0;
+
+      for (const notif of notifications) {
+        // likes, reposts, follows and replies all keep a followed account from being unfollowed
+        await recordInteraction(notif.author.did, Date.parse(notif.indexedAt) || Date.now());
+        const isRelevant = notif.reason === 'mention' || notif.reason === 'reply';
+        if (!isRelevant || !notif.record?.text) continue;
+
+        const text = notif.record.text;
+        const authorDid = notif.author.did;
+        const authorHandle = notif.author.handle;
+
+        const parsed = parseCommand(text);
+        if (parsed) {
+          commandLog.info('mention.command', `💬 Command "${parsed.command}" from @${authorHandle}`, {
+            command: parsed.command,
+            uri: notif.uri,
+            authorDid
+          });
+          const user = { did: authorDid, handle: authorHandle, displayName: notif.author.displayName };
+          const origin = {
+            uri: notif.uri,
+            cid: notif.cid,
+            record: notif.record,
+            parentUri: notif.record.reply?.parent?.uri,
+            source: 'mention'
+          };
+
+          let reply;
+          try {
+            reply = await runUserCommand(parsed.command, parsed.args, user, origin);
+          } catch (err) {
+            commandLog.error('mention.command_failed', `Command "${parsed.command}" failed: ${err.message}`, {
+              command: parsed.command,
+              uri: notif.uri,
+              ...errorFields(err)
+            });
+            reply = 'Sorry, something went wrong on my side. Please try again later.';
+          }
+          await replyToNotification(notif, reply);
+          continue;
+        }
+
+        if (await isPosted(notif.uri)) continue;
+        if (await isBlocked(authorDid)) continue;
+
+        const excluded = moderationReason(notif);
+        if (excluded) {
+          await excludePost(notif, excluded, 'mention');
+          continue;
+        }
+
+        const result = scorePost(text, 'mention', notif.record);
+        const linkCheck = result.accepted ? await inspectPostLinks(notif.record) : null;
+        if (linkCheck?.rejected) {
+          await rejectForLink(linkCheck.rejected, { author: authorHandle, authorDid, uri: notif.uri, source: 'mention', text });
+        } else if (result.accepted) {
+          discoveryLog.info('mention.queued', `✅ New submission from @${authorHandle} (${describeScore(result)})`, {
+            uri: notif.uri,
+            authorDid,
+            source: 'mention',
+            score: result.score
+          });
+          await addToQueue({
+            author: authorHandle,
+            authorDid,
+            text,
+            uri: notif.uri,
+            timestamp: Date.now(),
+            source: 'mention',
+            score: result.score,
+            scoreRules: result.fired,
+            displayName: notif.author.displayName,
+            cid: notif.cid,
+            embed: extractEmbedMeta(notif.record, null, authorDid),
+            record: notif.record,
+            links: linkCheck.links
+          });
+
+          await markAsPosted(notif.uri);
+          await autoFollow(authorDid, 'submission');
+          foundCount++;
+
+          try {
+            await likePost(notif.uri, notif.cid);
+          } catch (err) {
+            discoveryLog.error('like.failed', `Like error: ${err.message}`, { uri: notif.uri, ...errorFields(err) });
+          }
+        } else {
+          await emitEvent('post.filtered', {
+            author: authorHandle,
+            authorDid,
+            uri: notif.uri,
+            source: 'mention',
+            text,
+            reason: `filters: ${describeScore(result)}`,
+            reviewer: 'filters'
+          });
+        }
+      }
+
+      await save();
+      if (notifications.length) {
+        try {
+          await markNotificationsSeen(new Date(newest).toISOString());
+        } catch (err) {
+          discoveryLog.error('notifications.seen_failed', `Update seen error: ${err.message}`, errorFields(err));
+        }
+      }
+
+      // Spotlight user's feed
+      try {
+        const { items, save: saveSpotlightFeed } = await fetchAuthorFeedSince(config.SPOTLIGHT_USER);
+
+        for (const feedItem of items) {
+          if (feedItem.post) {
+            await addPostIfRelevant(feedItem.post, 'spotlightUser');
+          }
+        }
+        await saveSpotlightFeed();
+      } catch (err) {
+        discoveryLog.error('spotlight_user.failed', `Spotlight user feed error: ${err.message}`, {
+          source: 'spotlightUser',
+          ...errorFields(err)
+        });
+      }
+
+      const queueSize = await getQueueSize();
+      discoveryLog.info('mentions.completed', `📬 Submissions check complete. Found ${foundCount}. Queue: ${queueSize}`, {
+        found: foundCount,
+        queueSize
+      });
+    } catch (err) {
+      discoveryLog.error('mentions.error', `Submission check error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  // ---------------- STREAMING ----------------
+
+  // Jetstream delivers raw post records without author handles, labels or
+  // viewer state, so matching posts are hydrated through getPosts in small
+  // batches and then go through addPostIfRelevant like every other source.
+
+  const JETSTREAM_REWIND_US = 5 * 1000 * 1000; // replay a few seconds on reconnect; duplicates are skipped
+  const STREAM_CURSOR_SAVE_MS = 10 * 1000;
+  const HYDRATE_BATCH_SIZE = 25;
+  const HYDRATE_DELAY_MS = 3000; // give the AppView a moment to index fresh posts
+  const HYDRATE_MAX_ATTEMPTS = 3;
+
+  const streamState = { socket: null, connected: false, stopped: false, cursor: null, cursorSavedAt: 0 };
+  const hydrateQueue = new Map(); // uri -> { sourceLabel, attempts, timeUs }
+  const hydrateInFlight = new Map(); // the batch being hydrated, same shape
+  let hydrateTimer = null;
+  let streamTagRegex = null;
+
+  function matchStreamTag(text) {
+    if (!streamTagRegex) streamTagRegex = wordListRegex(config.SEARCH_TERMS.map(t => t.replace(/^#/, '')), '#');
+    const found = (text || '').match(streamTagRegex);
+    return found ? found[0].toLowerCase() : null;
+  }
+
+  // Returns { uri, text } for newly created posts, null for anything else
+  function decodeJetstreamPost(event) {
+    if (event?.kind !== 'commit') return null;
+    const commit = event.commit;
+    if (commit?.operation !== 'create' || commit.collection !== 'app.bsky.feed.post') return null;
+    if (!event.did || !commit.rkey) return null;
+
+    return {
+      uri: `at://${event.did}/app.bsky.feed.post/${commit.rkey}`,
+      text: commit.record?.text || ''
+    };
+  }
+
+  // The saved cursor stops short of the oldest event still waiting for (or in)
+  // hydration, so a restart reads those events again instead of losing them
+  function committedStreamCursor() {
+    let cursor = streamState.cursor;
+    for (const { timeUs } of [...hydrateQueue.values(), ...hydrateInFlight.values()]) {
+      if (timeUs && timeUs - 1 < cursor) cursor = timeUs - 1;
+    }
+    return cursor;
+  }
+
+  async function saveStreamCursor(force = false) {
+    if (!streamState.cursor) return;
+    if (!force && Date.now() - streamState.cursorSavedAt < STREAM_CURSOR_SAVE_MS) return;
+    streamState.cursorSavedAt = Date.now();
+    await savePageCursor('jetstream', String(committedStreamCursor()));
+  }
+
+  function handleStreamMessage(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    const post = decodeJetstreamPost(event);
+    const tag = post && matchStreamTag(post.text);
+    // a reconnect replays events still being hydrated
+    if (tag && !hydrateInFlight.has(post.uri)) queueForHydration(post.uri, `stream:${tag}`, 0, event.time_us || null);
+
+    if (event.time_us) {
+      streamState.cursor = event.time_us;
+      saveStreamCursor().catch(err => streamLog.error('cursor.save_failed', `Stream cursor save error: ${err.message}`, errorFields(err)));
+    }
+  }
+
+  function queueForHydration(uri, sourceLabel, attempts = 0, timeUs = null) {
+    if (!hydrateQueue.has(uri)) hydrateQueue.set(uri, { sourceLabel, attempts, timeUs });
+    if (!hydrateTimer) hydrateTimer = setTimeout(flushHydrationQueue, HYDRATE_DELAY_MS);
+  }
+
+  async function flushHydrationQueue() {
+    hydrateTimer = null;
+    const batch = [...hydrateQueue.entries()].slice(0, HYDRATE_BATCH_SIZE);
+    for (const [uri, entry] of batch) {
+      hydrateQueue.delete(uri);
+      hydrateInFlight.set(uri, entry);
+    }
+
+    try {
+      if (batch.length) {
+        const resp = await agent.getPosts({ uris: batch.map(([uri]) => uri) });
+        const found = new Map(resp.data.posts.map(post => [post.uri, post]));
+
+        for (const [uri, { sourceLabel, attempts, timeUs }] of batch) {
+          const post = found.get(uri);
+          if (post) await addPostIfRelevant(post, sourceLabel);
+          else if (attempts + 1 < HYDRATE_MAX_ATTEMPTS) queueForHydration(uri, sourceLabel, attempts + 1, timeUs);
+          hydrateInFlight.delete(uri);
+        }
+      }
+    } catch (err) {
+      streamLog.error('hydration.failed', `Stream hydration error: ${err.message}`, errorFields(err));
+      // whatever wasn't handled gets another try, and holds the cursor back until then
+      for (const [uri, { sourceLabel, attempts, timeUs }] of batch) {
+        if (hydrateInFlight.has(uri) && attempts + 1 < HYDRATE_MAX_ATTEMPTS) queueForHydration(uri, sourceLabel, attempts + 1, timeUs);
+      }
+    } finally {
+      for (const [uri] of batch) hydrateInFlight.delete(uri);
+    }
+
+    if (hydrateQueue.size && !hydrateTimer) hydrateTimer = setTimeout(flushHydrationQueue, HYDRATE_DELAY_MS);
+  }
+
+  function connectStream(failures = 0) {
+    const url = new URL(config.JETSTREAM_URL);
+    url.searchParams.set('wantedCollections', 'app.bsky.feed.post');
+    // from the saved cursor, so events still waiting for hydration are read again
+    const resumeFrom = committedStreamCursor();
+    if (resumeFrom) url.searchParams.set('cursor', String(resumeFrom - JETSTREAM_REWIND_US));
+
+    const socket = new WebSocket(url.toString());
+    streamState.socket = socket;
+
+    socket.on('open', () => {
+      failures = 0;
+      streamState.connected = true;
+      streamLog.info('stream.connected', `📡 Stream connected${streamState.cursor ? ' (resuming from cursor)' : ''}`, {
+        cursor: streamState.cursor
+      });
+    });
+
+    socket.on('message', data => handleStreamMessage(data.toString()));
+
+    socket.on('error', err => streamLog.error('stream.error', `Stream error: ${err.message}`, errorFields(err)));
+
+    socket.on('close', () => {
+      streamState.connected = false;
+      saveStreamCursor(true).catch(err => streamLog.error('cursor.save_failed', `Stream cursor save error: ${err.message}`, errorFields(err)));
+      if (streamState.stopped) return;
+
+      const delay = backoffDelay(failures);
+      streamLog.warn('stream.disconnected', `📡 Stream disconnected, reconnecting in ${delay}ms`, { delayMs: delay });
+      setTimeout(() => connectStream(failures + 1), delay);
+    });
+  }
+
+  async function replayStreamFile(file) {
+    streamLog.info('replay.started', `📼 Replaying stream events from ${file}`, { file });
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) handleStreamMessage(line);
+    while (hydrateQueue.size || hydrateInFlight.size || hydrateTimer) await sleep(HYDRATE_DELAY_MS);
+    await saveStreamCursor(true);
+    streamLog.info('replay.completed', `📼 Replay complete (${lines.length} events)`, { file, events: lines.length });
+  }
+
+  async function startStream() {
+    if (!config.JETSTREAM_URL && !config.JETSTREAM_REPLAY_FILE) return false;
+
+    const { cursor } = await getIngestCursor('jetstream');
+    streamState.cursor = cursor ? Number(cursor) : null;
+
+    if (config.JETSTREAM_REPLAY_FILE) {
+      // a replay ends, so discovery goes back to the search loop afterwards
+      replayStreamFile(config.JETSTREAM_REPLAY_FILE)
+        .catch(err => streamLog.error('replay.failed', `Stream replay error: ${err.message}`, errorFields(err)))
+        .finally(() => {
+          if (!streamState.stopped) scheduleJob('search', searchStartupPosts, 'SEARCH_INTERVAL');
+        });
+    } else {
+      connectStream();
+    }
+    return true;
+  }
+
+  async function stopStream() {
+    streamState.stopped = true;
+    if (streamState.socket) streamState.socket.close();
+    await saveStreamCursor(true);
+  }
+
+  // ---------------- QUEUE SCHEDULER ----------------
+
+  async function expireStaleQueueItems() {
+    const result = await dbRunResult(
+      `UPDATE post_queue SET status = 'expired', reviewed_by = 'scheduler', review_reason = 'stale', reviewed_at = ?
+       WHERE status IN ('pending', 'approved') AND timestamp < ?`,
+      [Date.now(), Date.now() - config.QUEUE_EXPIRY_MS]
+    );
+    if (result.changes) queueLog.info('queue.expired', `🗑️ Expired ${result.changes} stale queue items`, { count: result.changes });
+  }
+
+  async function getSchedulingContext() {
+    const cooled = await dbAll(
+      "SELECT DISTINCT COALESCE(author_did, author) as author FROM post_queue WHERE status = 'posted' AND posted_at > ?",
+      [Date.now() - config.AUTHOR_COOLDOWN_MS]
+    );
+    const recent = await dbAll(
+      "SELECT tag, text FROM post_queue WHERE status = 'posted' ORDER BY posted_at DESC LIMIT ?",
+      [config.TAG_DIVERSITY_WINDOW]
+    );
+    return {
+      cooledAuthors: new Set(cooled.map(row => row.author)),
+      recentTags: recent.map(row => row.tag || inferTag(row.text))
+    };
+  }
+
+  function authorKey(item) {
+    return item.author_did || item.author;
+  }
+
+  // candidates must already be in QUEUE_ORDER. Authors in cooldown are never
+  // picked; a recently used tag is only picked when nothing else is left.
+  function pickNextCandidate(candidates, { cooledAuthors, recentTags }) {
+    const eligible = candidates.filter(item => !cooledAuthors.has(authorKey(item)));
+    return eligible.find(item => !recentTags.includes(item.tag || inferTag(item.text))) || eligible[0] || null;
+  }
+
+  async function getApprovedCandidates() {
+    return await dbAll(`SELECT * FROM post_queue WHERE status = 'approved' ORDER BY ${QUEUE_ORDER}`);
+  }
+
+  async function getNextFromQueue() {
+    await expireStaleQueueItems();
+    return pickNextCandidate(await getApprovedCandidates(), await getSchedulingContext());
+  }
+
+  // The approved queue in the order it is expected to go out, assuming nothing
+  // new arrives. Items held back by an author cooldown come last.
+  async function getScheduledOrder() {
+    await expireStaleQueueItems();
+    const context = await getSchedulingContext();
+    let remaining = await getApprovedCandidates();
+    const order = [];
+
+    for (;;) {
+      const next = pickNextCandidate(remaining, context);
+      if (!next) break;
+      order.push(next);
+      remaining = remaining.filter(item => item !== next);
+      context.cooledAuthors.add(authorKey(next));
+      context.recentTags = [next.tag || inferTag(next.text), ...context.recentTags].slice(0, config.TAG_DIVERSITY_WINDOW);
+    }
+
+    return [...order, ...remaining];
+  }
+
+  // ---------------- POSTING ----------------
+
+  function stripTags(text) {
+    return (text || '')
+      .replace(TOPIC_HINT_REGEX, '')
+      .replace(/#spotlight/gi, '')
+      .replace(/#promote/gi, '')
+      .replace(/#buildinpublic/gi, '')
+      .replace(/#indiehackers/gi, '')
+      .replace(/#indiedev/gi, '')
+      .replace(/#solopreneur/gi, '')
+      .trim();
+  }
+
+  const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+  function graphemes(text) {
+    return Array.from(graphemeSegmenter.segment(text || ''), s => s.segment);
+  }
+
+  function graphemeLength(text) {
+    return graphemes(text).length;
+  }
+
+  // Shortens text to maxGraphemes, preferring to end on a sentence, then on a
+  // word, and never splitting an emoji or other multi-codepoint character.
+  function truncateExcerpt(text, maxGraphemes) {
+    const chars = graphemes(text);
+    if (chars.length <= maxGraphemes) return text;
+    if (maxGraphemes <= 1) return '';
+
+    const slice = chars.slice(0, maxGraphemes - 1).join('');
+    const minKeep = Math.floor(slice.length / 2);
+
+    const sentenceEnds = [...slice.matchAll(/[.!?…](?=\s)/g)];
+    const lastSentence = sentenceEnds.length ? sentenceEnds[sentenceEnds.length - 1].index + 1 : -1;
+    if (lastSentence >= minKeep) return slice.slice(0, lastSentence);
+
+    const lastSpace = slice.search(/\s\S*$/);
+    if (lastSpace >= minKeep) return slice.slice(0, lastSpace).replace(/[\s,;:–—-]+$/, '') + '…';
+
+    return slice + '…';
+  }
+
+  // {{name}} inserts a variable; {{#name}}...{{/name}} is only kept when name is non-empty
+  function renderTemplate(template, vars) {
+    return template
+      .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => (vars[name] ? inner : ''))
+      .replace(/\{\{(\w+)\}\}/g, (_, name) => vars[name] ?? '')
+      .trim();
+  }
+
+  // Re-read on every post so templates can be edited while the bot runs
+  function loadTemplates() {
+    const files = fs.readdirSync(config.TEMPLATES_DIR).filter(f => f.endsWith('.txt')).sort();
+    return files.map(file => ({
+      name: path.basename(file, '.txt'),
+      body: fs.readFileSync(path.join(config.TEMPLATES_DIR, file), 'utf8')
+    }));
+  }
+
+  let templateRotation = 0;
+
+  // Renders the next template in rotation, cutting the excerpt to whatever the
+  // rest of the layout leaves of the grapheme budget. Layouts that cannot fit a
+  // useful excerpt are skipped.
+  function composeSpotlight(vars, fullExcerpt) {
+    const templates = loadTemplates();
+    if (!templates.length) throw new Error(`No templates found in ${config.TEMPLATES_DIR}`);
+
+    const start = templateRotation++ % templates.length;
+    for (let i = 0; i < templates.length; i++) {
+      const template = templates[(start + i) % templates.length];
+
+      const overhead = graphemeLength(renderTemplate(template.body, { ...vars, excerpt: '' }));
+      const budget = config.MAX_POST_GRAPHEMES - overhead;
+      if (budget < Math.min(40, graphemeLength(fullExcerpt))) continue;
+
+      const excerpt = truncateExcerpt(fullExcerpt, budget);
+      const text = renderTemplate(template.body, { ...vars, excerpt });
+      if (graphemeLength(text) <= config.MAX_POST_GRAPHEMES) return { text, excerpt, template: template.name };
+    }
+    throw new Error(`No template fits within ${config.MAX_POST_GRAPHEMES} graphemes`);
+  }
+
+  const MAX_THUMB_BYTES = 1000 * 1000;
+
+  async function uploadThumbnail(url) {
+    try {
+      // link card images can come from inspected landing pages
+      const resp = await guardedFetch(url, { signal: AbortSignal.timeout(config.LINK_TIMEOUT_MS) });
+      if (!resp.ok || Number(resp.headers.get('content-length')) > MAX_THUMB_BYTES) {
+        resp.body?.cancel().catch(() => {});
+        return null;
+      }
+      const bytes = new Uint8Array(await readBodyCapped(resp, MAX_THUMB_BYTES + 1));
+      if (bytes.length > MAX_THUMB_BYTES) return null;
+
+      const encoding = resp.headers.get('content-type') || 'image/jpeg';
+      const uploaded = await performWrite('uploadBlob', { url, encoding, size: bytes.length }, () =>
+        agent.uploadBlob(bytes, { encoding }));
+      return uploaded?.data?.blob || null;
+    } catch (err) {
+      postingLog.warn('thumbnail.failed', `⚠️ Could not copy link card thumbnail: ${err.message}`, errorFields(err));
+      return null;
+    }
+  }
+
+  // Quote spotlights embed the original post; when it had a link card that is
+  // carried along too (recordWithMedia). Images are not re-uploaded — the quoted
+  // post already shows them under the author's name.
+  async function buildSpotlightEmbed(submission, asQuote) {
+    const meta = submission.embed ? JSON.parse(submission.embed) : null;
+    // without a card of its own, the post's first inspected link can supply one
+    const page = JSON.parse(submission.link_meta || '[]').find(link => link.title);
+    const card = meta?.external?.uri
+      ? meta.external
+      : page && { uri: page.finalUrl, title: page.title, description: page.description, thumb: page.image };
+
+    let external = null;
+    if (config.SPOTLIGHT_LINK_CARDS && card) {
+      external = {
+        $type: 'app.bsky.embed.external',
+        external: {
+          uri: card.uri,
+          title: card.title,
+          description: card.description
+        }
+      };
+      const thumb = card.thumb ? await uploadThumbnail(card.thumb) : null;
+      if (thumb) external.external.thumb = thumb;
+    }
+
+    if (!asQuote) return external;
+
+    const quote = {
+      $type: 'app.bsky.embed.record',
+      record: { uri: submission.uri, cid: submission.cid }
+    };
+    if (!external) return quote;
+
+    return {
+      $type: 'app.bsky.embed.recordWithMedia',
+      record: quote,
+      media: external
+    };
+  }
+
+  let postingInProgress = false;
+
+  // Resolves with { posted, id?, author?, reason? } so callers (timer, admin API) can report the outcome
+  async function postSpotlight() {
+    postingLog.debug('post.triggered', '⏰ Post spotlight timer triggered');
+
+    if (postingInProgress) {
+      postingLog.info('post.busy', '⏳ A spotlight is already being posted, skipping');
+      return { posted: false, reason: 'busy' };
+    }
+    postingInProgress = true;
+
+    try {
+      return await postNextSpotlight();
+    } finally {
+      postingInProgress = false;
+    }
+  }
+
+  // Items the moderation recheck drops are rejected and the next one is tried,
+  // up to this many per slot
+  const POST_ATTEMPTS_PER_SLOT = 5;
+
+  async function postNextSpotlight() {
+    for (let attempt = 0; attempt < POST_ATTEMPTS_PER_SLOT; attempt++) {
+      const submission = await getNextFromQueue();
+      if (!submission) {
+        postingLog.info('post.nothing_eligible', '⏳ No approved items eligible to post (empty queue or authors in cooldown)');
+        return { posted: false, reason: 'nothing eligible' };
+      }
+
+      const { excluded, post: original } = await recheckModeration(submission).catch(err => {
+        postingLog.warn('moderation.recheck_failed', `⚠️ Moderation recheck failed for #${submission.id}: ${err.message}`, {
+          id: submission.id,
+          uri: submission.uri,
+          ...errorFields(err)
+        });
+        return { excluded: null, post: null };
+      });
+      if (!excluded) return await postSubmission(submission, original);
+
+      await addExclusion(submission.uri, submission.author_did, submission.author, excluded, 'queue');
+      await rejectQueueItem(submission.id, 'moderation', excluded);
+    }
+
+    postingLog.warn('post.attempts_exhausted', `⏳ ${POST_ATTEMPTS_PER_SLOT} items in a row failed the moderation recheck; trying again next slot`, {
+      attempts: POST_ATTEMPTS_PER_SLOT
+    });
+    return { posted: false, reason: 'moderation recheck' };
+  }
+
+  // original is the post as fetched by the recheck, when that succeeded
+  async function postSubmission(submission, original) {
+    try {
+      postingLog.info('spotlight.started', `🌟 Spotlighting @${submission.author}`, {
+        id: submission.id,
+        uri: submission.uri,
+        authorDid: submission.author_did,
+        source: submission.source
+      });
+
+      const postUrl = queueItemUrl(submission);
+      // rows queued before cids were stored can only be text spotlights
+      const asQuote = config.SPOTLIGHT_STYLE === 'quote' && !!submission.cid;
+
+      const topics = queueItemTopics(submission);
+      const [firstLink] = JSON.parse(submission.link_meta || '[]');
+      const composed = composeSpotlight({
+        author: submission.author,
+        displayName: submission.author_display_name || submission.author,
+        tag: topics.tag,
+        topics: topicHashtags(topics.tags),
+        linkTitle: firstLink?.title || '',
+        project: firstLink?.project || '',
+        link: asQuote ? '' : postUrl || '',
+        footer: config.SPOTLIGHT_FOOTER
+      }, stripTags(submission.text));
+      const cleanText = composed.excerpt;
+      const spotlightText = composed.text;
+      const embed = await buildSpotlightEmbed(submission, asQuote);
+
+      // Try with facets, fallback without facets (fixes DID facet issues)
+      let spotlight;
+      try {
+        const rt = new RichText({ text: spotlightText });
+        await rt.detectFacets(agent);
+        spotlight = await createPost({ text: rt.text, facets: rt.facets, ...(embed && { embed }) });
+      } catch (err) {
+        postingLog.warn('facets.failed', `⚠️ Facet post failed, retrying without facets: ${err.message}`, errorFields(err));
+        spotlight = await createPost({ text: spotlightText, ...(embed && { embed }) });
+      }
+
+      postingLog.info('spotlight.posted', `✅ Posted spotlight for @${submission.author}`, {
+        id: submission.id,
+        uri: submission.uri,
+        authorDid: submission.author_did,
+        spotlightUri: spotlight?.uri
+      });
+
+      await markQueueItemPosted(submission.id, composed.template, spotlight, cleanText);
+      // the original's counts before the spotlight, which its gain is measured from
+      if (original) await addEngagementSnapshot(submission.id, 'original', original.uri, engagementCounts(original));
+      await emitEvent('spotlight.posted', {
+        id: submission.id,
+        author: submission.author,
+        authorDid: submission.author_did,
+        uri: submission.uri,
+        postUrl,
+        spotlightUri: spotlight?.uri || null,
+        spotlightUrl: spotlight?.uri?.startsWith('at://') ? convertAtUriToWebUrl(spotlight.uri, agent.session?.handle) : null,
+        template: composed.template,
+        text: cleanText
+      });
+
+      // Push to your website
+      if (postUrl) {
+        await sendSpotlightToSite(await getQueueItem(submission.id), postUrl, cleanText);
+      }
+
+      if (submission.author_did) {
+        await autoFollow(submission.author_did, 'spotlight');
+      }
+
+      return { posted: true, id: submission.id, author: submission.author };
+    } catch (err) {
+      postingLog.error('spotlight.failed', `Post error: ${err.message}`, {
+        id: submission.id,
+        uri: submission.uri,
+        ...errorFields(err)
+      });
+      return { posted: false, id: submission.id, reason: err.message };
+    }
+  }
+
+  // ---------------- HEALTH ----------------
+
+  async function healthLog() {
+    try {
+      const stats = await getStats();
+      appLog.info('health', `💓 Health: posted=${stats.posted} followed=${stats.followed} blocked=${stats.blocked} queued=${stats.queued} (pending=${stats.pending} approved=${stats.approved})`, stats);
+    } catch (err) {
+      appLog.error('health.failed', `Health error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  // ---------------- ANALYTICS ----------------
+
+  // A periodic job snapshots likes/reposts/replies/quotes of recent spotlights
+  // and of the posts they featured, plus the bot's follower count. Reports
+  // group spotlights by tag, discovery source and posting hour (in the
+  // schedule's time zone), using each post's latest snapshot; for originals
+  // they show what was gained since the first snapshot after the spotlight.
+
+  const ENGAGEMENT_METRICS = ['likes', 'reposts', 'replies', 'quotes'];
+
+  function engagementCounts(post) {
+    return {
+      likes: post.likeCount || 0,
+      reposts: post.repostCount || 0,
+      replies: post.replyCount || 0,
+      quotes: post.quoteCount || 0
+    };
+  }
+
+  async function collectEngagement() {
+    try {
+      const items = await getSpotlightsPostedSince(Date.now() - config.ENGAGEMENT_WINDOW_MS);
+      const subjects = [];
+      for (const item of items) {
+        if (item.spotlight_uri?.startsWith('at://')) subjects.push({ item, subject: 'spotlight', uri: item.spotlight_uri });
+        if (item.uri?.startsWith('at://')) subjects.push({ item, subject: 'original', uri: item.uri });
+      }
 
-main().catch(err => {
-  console.error('Fatal error:', err.message || err);
-  db.close();
-  process.exit(1);
-});
+      let collected = 0;
+      for (let i = 0; i < subjects.length; i += 25) {
+        const batch = subjects.slice(i, i + 25);
+        const resp = await agent.getPosts({ uris: batch.map(s => s.uri) });
+        const byUri = new Map(resp.data.posts.map(post => [post.uri, post]));
+
+        for (const { item, subject, uri } of batch) {
+          const post = byUri.get(uri);
+          if (!post) continue; // deleted
+          await addEngagementSnapshot(item.id, subject, uri, engagementCounts(post));
+          collected++;
+        }
+      }
+
+      const profile = await agent.getProfile({ actor: agent.session?.did || env.BLUESKY_USERNAME });
+      await addFollowerSnapshot({
+        followers: profile.data.followersCount || 0,
+        follows: profile.data.followsCount || 0,
+        posts: profile.data.postsCount || 0
+      });
+
+      analyticsLog.info('engagement.collected', `📈 Engagement collected for ${collected} posts (${items.length} spotlights), followers=${profile.data.followersCount || 0}`, {
+        posts: collected,
+        spotlights: items.length,
+        followers: profile.data.followersCount || 0
+      });
+
+      const pruned = await pruneSnapshots();
+      analyticsLog.debug('snapshots.pruned', `🧹 Pruned ${pruned.engagement} engagement and ${pruned.followers} follower snapshots`, pruned);
+    } catch (err) {
+      analyticsLog.error('engagement.failed', `Engagement collection error: ${err.message}`, errorFields(err));
+    }
+  }
+
+  function summarizeGroup(rows) {
+    const average = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10) / 10 : null;
+    const summary = { spotlights: rows.length };
+
+    for (const metric of ENGAGEMENT_METRICS) {
+      summary[metric] = average(rows.filter(r => r.spotlight).map(r => r.spotlight[metric]));
+    }
+    summary.engagement = average(rows.filter(r => r.spotlight).map(r => ENGAGEMENT_METRICS.reduce((sum, m) => sum + r.spotlight[m], 0)));
+    summary.originalGain = average(rows.filter(r => r.originalGain !== null).map(r => r.originalGain));
+    return summary;
+  }
+
+  function groupBy(rows, keyOf) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    return [...groups.entries()]
+      .map(([key, group]) => ({ key, ...summarizeGroup(group) }))
+      .sort((a, b) => (b.engagement ?? -1) - (a.engagement ?? -1));
+  }
+
+  async function buildEngagementReport(days = 30) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const items = await getSpotlightsPostedSince(since);
+    const latest = await getEngagementSnapshots('latest');
+    const first = await getEngagementSnapshots('first');
+
+    const rows = items.map(item => {
+      const spotlight = latest.get(`${item.id}:spotlight`) || null;
+      const originalNow = latest.get(`${item.id}:original`);
+      const originalThen = first.get(`${item.id}:original`);
+      return {
+        tag: item.tag || inferTag(item.text),
+        source: item.source || 'unknown',
+        hour: zonedParts(new Date(item.posted_at)).hour,
+        spotlight,
+        originalGain: originalNow && originalThen
+          ? ENGAGEMENT_METRICS.reduce((sum, m) => sum + originalNow[m] - originalThen[m], 0)
+          : null
+      };
+    });
+
+    const followers = await getFollowerSnapshotsSince(since);
+    const daily = new Map();
+    for (const snapshot of followers) daily.set(zonedParts(new Date(snapshot.collected_at)).dayKey, snapshot.followers);
+
+    return {
+      days,
+      timezone: schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      overall: summarizeGroup(rows),
+      byTag: groupBy(rows, row => row.tag),
+      bySource: groupBy(rows, row => row.source),
+      byHour: groupBy(rows, row => String(row.hour).padStart(2, '0')).sort((a, b) => a.key.localeCompare(b.key)),
+      followers: {
+        start: followers[0]?.followers ?? null,
+        end: followers[followers.length - 1]?.followers ?? null,
+        change: followers.length ? followers[followers.length - 1].followers - followers[0].followers : null,
+        daily: [...daily.entries()].map(([day, count]) => ({ day, followers: count }))
+      }
+    };
+  }
+
+  // ---------------- SCHEDULE ----------------
+
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const SCHEDULE_TICK_MS = 20 * 1000;
+
+  let schedule = { timezone: undefined, jobs: {} };
+  const scheduledJobs = new Map(); // name -> { fn, intervalKey, lastRunAt, lastSlot, running }
+  let scheduleTimer = null;
+
+  // Wall-clock fields of `date` in the schedule's time zone
+  function zonedParts(date, timeZone = schedule.timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date);
+    const get = type => parts.find(p => p.type === type).value;
+
+    const dayKey = `${get('year')}-${get('month')}-${get('day')}`;
+    return {
+      weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase()),
+      month: Number(get('month')),
+      day: Number(get('day')),
+      hour: Number(get('hour')),
+      minute: Number(get('minute')),
+      dayKey,
+      hourKey: `${dayKey}T${get('hour')}`
+    };
+  }
+
+  function parseWeekday(name) {
+    const index = WEEKDAYS.indexOf(String(name).toLowerCase().slice(0, 3));
+    if (index !== -1) return index;
+    const number = Number(name);
+    if (Number.isInteger(number) && number >= 0 && number <= 7) return number % 7;
+    throw new Error(`unknown weekday "${name}"`);
+  }
+
+  // One cron field ("*", "*/15", "1-5", "mon-fri", "0,30") -> Set of values, or null for "*"
+  function parseCronField(field, min, max, parseValue = Number) {
+    if (field === '*') return null;
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const [range, stepText] = part.split('/');
+      const step = stepText ? Number(stepText) : 1;
+      if (!Number.isInteger(step) || step < 1) throw new Error(`bad step in "${field}"`);
+
+      let [from, to] = range === '*' ? [min, max] : range.split('-').map(v => parseValue(v));
+      if (to === undefined) to = stepText ? max : from;
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+        throw new Error(`bad range "${part}"`);
+      }
+      for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+  }
+
+  // Standard 5-field cron: minute hour day-of-month month day-of-week
+  function parseCron(expr) {
+    const fields = String(expr).trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error(`"${expr}" must have 5 fields`);
+    try {
+      return {
+        minute: parseCronField(fields[0], 0, 59),
+        hour: parseCronField(fields[1], 0, 23),
+        dom: parseCronField(fields[2], 1, 31),
+        month: parseCronField(fields[3], 1, 12),
+        dow: parseCronField(fields[4], 0, 6, parseWeekday)
+      };
+    } catch (err) {
+      throw new Error(`"${expr}": ${err.message}`);
+    }
+  }
+
+  function cronMatches(cron, parts) {
+    const has = (set, value) => !set || set.has(value);
+    if (!has(cron.minute, parts.minute) || !has(cron.hour, parts.hour) || !has(cron.month, parts.month)) return false;
+    // like cron: when both day fields are restricted, either may match
+    if (cron.dom && cron.dow) return cron.dom.has(parts.day) || cron.dow.has(parts.weekday);
+    return has(cron.dom, parts.day) && has(cron.dow, parts.weekday);
+  }
+
+  // "24:00" is only valid as the end of a range (midnight at the end of the day)
+  function parseTimeOfDay(text, isRangeEnd = false) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (match && isRangeEnd && match[1] === '24' && match[2] === '00') return 24 * 60;
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new Error(`bad time "${text}"`);
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  // { "mon-fri": ["08:00-22:00"], "sat,sun": ["10:00-18:00"] }; a range that
+  // ends before it starts runs past midnight
+  function parseWindows(raw) {
+    return Object.entries(raw).map(([days, ranges]) => {
+      const dayCron = parseCronField(days === '*' ? '*' : days, 0, 6, parseWeekday);
+      if (!Array.isArray(ranges)) throw new Error(`windows.${days} must be an array of "HH:MM-HH:MM"`);
+      return {
+        days: dayCron,
+        ranges: ranges.map(range => {
+          const [start, end] = String(range).split('-');
+          if (!end) throw new Error(`bad window "${range}"`);
+          return { start: parseTimeOfDay(start), end: parseTimeOfDay(end, true) };
+        })
+      };
+    });
+  }
+
+  function inWindows(windows, parts) {
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+    return windows.some(({ days, ranges }) =>
+      (!days || days.has(parts.weekday)) &&
+      ranges.some(({ start, end }) =>
+        start <= end ? minuteOfDay >= start && minuteOfDay < end : minuteOfDay >= start || minuteOfDay < end));
+  }
+
+  function compileJobSchedule(name, raw) {
+    const job = {};
+    if (raw.intervalMinutes !== undefined) {
+      if (!(raw.intervalMinutes > 0)) throw new Error(`jobs.${name}.intervalMinutes must be positive`);
+      job.intervalMs = raw.intervalMinutes * 60 * 1000;
+    }
+    if (raw.windows) job.windows = parseWindows(raw.windows);
+    if (raw.slots) job.slots = raw.slots.map(parseCron);
+    for (const cap of ['dailyCap', 'hourlyCap']) {
+      if (raw[cap] === undefined) continue;
+      if (!Number.isInteger(raw[cap]) || raw[cap] < 0) throw new Error(`jobs.${name}.${cap} must be a whole number`);
+      job[cap] = raw[cap];
+    }
+    return job;
+  }
+
+  function loadSchedule() {
+    if (!fs.existsSync(config.SCHEDULE_PATH)) {
+      schedule = { timezone: undefined, jobs: {} };
+      return;
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(config.SCHEDULE_PATH, 'utf8'));
+      if (raw.timezone) zonedParts(new Date(), raw.timezone); // throws RangeError on unknown zones
+
+      const jobs = {};
+      for (const [name, job] of Object.entries(raw.jobs || {})) jobs[name] = compileJobSchedule(name, job);
+      schedule = { timezone: raw.timezone, jobs };
+    } catch (err) {
+      throw new Error(`Invalid schedule in ${config.SCHEDULE_PATH}: ${err.message}`);
+    }
+    scheduleLog.info('schedule.loaded', `🗓️ Loaded schedule from ${config.SCHEDULE_PATH}${schedule.timezone ? ` (${schedule.timezone})` : ''}`, {
+      path: config.SCHEDULE_PATH,
+      timezone: schedule.timezone
+    });
+  }
+
+  // Caps count spotlights actually posted in the current local day/hour
+  async function postingCapReached(job, parts) {
+    if (job.dailyCap === undefined && job.hourlyCap === undefined) return false;
+
+    const rows = await dbAll(
+      "SELECT posted_at FROM post_queue WHERE status = 'posted' AND posted_at > ?",
+      [Date.now() - 26 * 60 * 60 * 1000]
+    );
+    const postedParts = rows.map(row => zonedParts(new Date(row.posted_at)));
+    if (job.dailyCap !== undefined && postedParts.filter(p => p.dayKey === parts.dayKey).length >= job.dailyCap) return true;
+    if (job.hourlyCap !== undefined && postedParts.filter(p => p.hourKey === parts.hourKey).length >= job.hourlyCap) return true;
+    return false;
+  }
+
+  async function jobAllowedNow(name, parts = zonedParts(new Date())) {
+    const job = schedule.jobs[name] || {};
+    if (job.windows && !inWindows(job.windows, parts)) return false;
+    if (name === 'post' && await postingCapReached(job, parts)) return false;
+    return true;
+  }
+
+  async function isJobDue(name, state, now, parts) {
+    const job = schedule.jobs[name] || {};
+
+    if (job.slots) {
+      const slot = `${parts.dayKey}T${parts.hour}:${parts.minute}`;
+      if (state.lastSlot === slot || !job.slots.some(cron => cronMatches(cron, parts))) return false;
+      state.lastSlot = slot;
+    } else if (now - state.lastRunAt < (job.intervalMs ?? config[state.intervalKey])) {
+      return false;
+    }
+
+    return await jobAllowedNow(name, parts);
+  }
+
+  async function runDueJobs() {
+    const now = Date.now();
+    const parts = zonedParts(new Date(now));
+
+    for (const [name, state] of scheduledJobs) {
+      if (state.running) continue;
+      try {
+        if (!(await isJobDue(name, state, now, parts))) continue;
+      } catch (err) {
+        scheduleLog.error('job.check_failed', `Schedule check failed for ${name}: ${err.message}`, { job: name, ...errorFields(err) });
+        continue;
+      }
+
+      state.running = true;
+      state.lastRunAt = now;
+      Promise.resolve()
+        .then(state.fn)
+        .catch(err => scheduleLog.error('job.failed', `Job ${name} failed: ${err.message}`, { job: name, ...errorFields(err) }))
+        .finally(() => {
+          state.running = false;
+        });
+    }
+  }
+
+  // Registers a recurring job that runs every config[intervalKey] ms. Its
+  // schedule.json entry (if any) can replace that interval, restrict it to
+  // windows, or pin it to cron slots.
+  function scheduleJob(name, fn, intervalKey) {
+    scheduledJobs.set(name, { fn, intervalKey, lastRunAt: Date.now(), lastSlot: null, running: false });
+    if (!scheduleTimer) scheduleTimer = setInterval(runDueJobs, SCHEDULE_TICK_MS);
+  }
+
+  function getScheduleSnapshot() {
+    const parts = zonedParts(new Date());
+    const jobs = {};
+    for (const [name, state] of scheduledJobs) {
+      const job = schedule.jobs[name] || {};
+      jobs[name] = {
+        lastRunAt: new Date(state.lastRunAt).toISOString(),
+        running: state.running,
+        inWindow: job.windows ? inWindows(job.windows, parts) : true,
+        slots: !!job.slots
+      };
+    }
+    return { timezone: schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone, jobs };
+  }
+
+  // ---------------- ADMIN API ----------------
+
+  let adminServer = null;
+  const startedAt = Date.now();
+
+  class HttpError extends Error {
+    constructor(status, message) {
+      super(message);
+      this.status = status;
+    }
+  }
+
+  function isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const a = Buffer.from(token);
+    const b = Buffer.from(config.ADMIN_TOKEN);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => {
+        raw += chunk;
+        if (raw.length > 64 * 1024) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!raw) return resolve({});
+        try {
+          resolve(JSON.parse(raw));
+        } catch {
+          reject(new HttpError(400, 'Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  async function getHealth() {
+    return {
+      ok: true,
+      dryRun: DRY_RUN,
+      loggedIn: agent.hasSession,
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      stats: await getStats(),
+      rateLimits: getRateLimitSnapshot(),
+      stream: config.JETSTREAM_URL || config.JETSTREAM_REPLAY_FILE
+        ? { connected: streamState.connected, cursor: streamState.cursor, hydrating: hydrateQueue.size }
+        : null,
+      chat: config.CHAT_ENABLED ? { service: config.CHAT_SERVICE_URL || CHAT_PROXY } : null,
+      outbox: await getOutboxCounts(),
+      following: await getFollowSummary(),
+      config: { path: CONFIG_PATH, loadedAt: new Date(configLoadedAt).toISOString(), values: describeConfig(config) },
+      schedule: getScheduleSnapshot()
+    };
+  }
+
+  async function blocklistFromRequest(body) {
+    let { did, handle } = body;
+    if (!did && !handle) throw new HttpError(400, 'did or handle is required');
+
+    if (!did) {
+      const resolved = await agent.resolveHandle({ handle: handle.replace(/^@/, '') });
+      did = resolved.data.did;
+    }
+    if (!handle) {
+      const profile = await agent.getProfile({ actor: did }).catch(() => null);
+      handle = profile?.data?.handle || did;
+    }
+
+    const reason = body.reason ? `manual: ${body.reason}` : 'manual';
+    await addToBlocklist(did, handle.replace(/^@/, ''), reason);
+    return { did, handle, reason };
+  }
+
+  // [method, path pattern, handler(params, body, query)]
+  const ADMIN_ROUTES = [
+    ['GET', /^\/health$/, async () => getHealth()],
+
+    ['GET', /^\/queue$/, async (params, body, query) => ({
+      items: await listQueue(query.get('status') || null)
+    })],
+    ['GET', /^\/queue\/scheduled$/, async () => ({ items: await getScheduledOrder() })],
+    ['PATCH', /^\/queue\/(\d+)$/, async ([id], body) => {
+      const priority = Number(body.priority);
+      if (!Number.isInteger(priority)) throw new HttpError(400, 'priority must be an integer');
+      if (!(await setQueuePriority(Number(id), priority))) throw new HttpError(404, `Queue item ${id} not found`);
+      return { item: await getQueueItem(Number(id)) };
+    }],
+    ['DELETE', /^\/queue\/(\d+)$/, async ([id]) => {
+      if (!(await removeFromQueue(Number(id)))) throw new HttpError(404, `Queue item ${id} not found`);
+      return { deleted: Number(id) };
+    }],
+    ['POST', /^\/queue\/(\d+)\/(approve|reject)$/, async ([id, action], body) => {
+      const item = await getQueueItem(Number(id));
+      if (!item) throw new HttpError(404, `Queue item ${id} not found`);
+      if (item.status === 'posted') throw new HttpError(409, `Queue item ${id} has already been posted`);
+      const reviewer = body.by || 'admin-api';
+      if (action === 'approve') await approveQueueItem(item.id, reviewer, body.reason || null);
+      else await rejectQueueItem(item.id, reviewer, body.reason || null);
+      return { item: await getQueueItem(item.id) };
+    }],
+    ['POST', /^\/queue\/(\d+)\/tags$/, async ([id], body) => {
+      if (!Array.isArray(body.tags)) throw new HttpError(400, 'tags must be an array of topic ids');
+      let found;
+      try {
+        found = await setQueueTopics(Number(id), body.tags.map(String));
+      } catch (err) {
+        throw new HttpError(400, err.message);
+      }
+      if (!found) throw new HttpError(404, `Queue item ${id} not found`);
+      return { item: await getQueueItem(Number(id)) };
+    }],
+
+    ['GET', /^\/blocklist$/, async () => ({ entries: await listBlocklist() })],
+    ['POST', /^\/blocklist$/, async (params, body) => ({ blocked: await blocklistFromRequest(body) })],
+    ['DELETE', /^\/blocklist\/([^/]+)$/, async ([did]) => {
+      if (!(await removeFromBlocklist(decodeURIComponent(did)))) throw new HttpError(404, 'Not on blocklist');
+      return { removed: decodeURIComponent(did) };
+    }],
+
+    ['POST', /^\/blocklist\/import$/, async (params, body) => {
+      if (!body.list) throw new HttpError(400, 'list is required');
+      return await importListToBlocklist(String(body.list), body.reason ? `list: ${body.reason}` : null);
+    }],
+
+    ['GET', /^\/exclusions$/, async (params, body, query) => ({
+      exclusions: await listExclusions(Math.min(Number(query.get('limit')) || 100, 1000))
+    })],
+
+    ['GET', /^\/posted$/, async (params, body, query) => ({
+      uris: await listPosted(Math.min(Number(query.get('limit')) || 100, 1000))
+    })],
+
+    ['GET', /^\/journal$/, async (params, body, query) => ({
+      entries: await listJournal(Math.min(Number(query.get('limit')) || 100, 1000))
+    })],
+
+    ['GET', /^\/outbox$/, async (params, body, query) => ({
+      items: await listOutbox(query.get('status'), Math.min(Number(query.get('limit')) || 100, 1000))
+    })],
+    ['POST', /^\/outbox\/(\d+)\/replay$/, async ([id]) => {
+      if (!(await replayOutboxItem(Number(id)))) throw new HttpError(404, 'Outbox item not found');
+      await deliverOutbox();
+      return (await dbGet('SELECT id, status, attempts, last_status, last_error FROM outbox WHERE id = ?', [Number(id)]));
+    }],
+    ['POST', /^\/outbox\/resync$/, async (params, body) => {
+      if (!config.SPOTLIGHT_API_URL) throw new HttpError(409, 'SPOTLIGHT_API_URL is not set');
+      return await resyncSiteSpotlights(Number(body.days) || 30, !!body.force);
+    }],
+
+    ['POST', /^\/follows\/sync$/, async () => ({ result: await manageFollows() })],
+
+    ['GET', /^\/report$/, async (params, body, query) => buildEngagementReport(Math.min(Number(query.get('days')) || 30, 365))],
+
+    ['POST', /^\/score$/, async (params, body) => scorePost(String(body.text || ''), body.source || 'search')],
+    ['POST', /^\/classify$/, async (params, body) => classifyTopics(String(body.text || ''))],
+    ['POST', /^\/links\/inspect$/, async (params, body) => {
+      if (!body.url) throw new HttpError(400, 'url is required');
+      return await inspectLink(String(body.url), !!body.fresh);
+    }],
+
+    ['POST', /^\/post-now$/, async () => postSpotlight()]
+  ];
+
+  async function handleAdminRequest(req, res) {
+    try {
+      if (!isAuthorized(req)) throw new HttpError(401, 'Unauthorized');
+
+      const url = new URL(req.url, 'http://localhost');
+      for (const [method, pattern, handler] of ADMIN_ROUTES) {
+        const match = url.pathname.match(pattern);
+        if (!match) continue;
+        if (req.method !== method) continue;
+
+        const body = ['POST', 'PATCH'].includes(method) ? await readJsonBody(req) : {};
+        return sendJson(res, 200, await handler(match.slice(1), body, url.searchParams));
+      }
+      throw new HttpError(404, 'Not found');
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 500) adminLog.error('request.failed', `Admin API error: ${err.message}`, { path: req.url, ...errorFields(err) });
+      sendJson(res, status, { error: err.message });
+    }
+  }
+
+  function startAdminServer() {
+    if (!config.ADMIN_PORT) return;
+    if (!config.ADMIN_TOKEN) {
+      adminLog.warn('admin.no_token', '⚠️ ADMIN_PORT is set but ADMIN_TOKEN is empty — admin API disabled');
+      return;
+    }
+
+    adminServer = http.createServer(handleAdminRequest);
+    adminServer.on('error', err => adminLog.error('server.error', `Admin API server error: ${err.message}`, errorFields(err)));
+    adminServer.listen(config.ADMIN_PORT, config.ADMIN_HOST, () => {
+      adminLog.info('admin.listening', `🛠️ Admin API listening on http://${config.ADMIN_HOST}:${config.ADMIN_PORT}`, {
+        host: config.ADMIN_HOST,
+        port: config.ADMIN_PORT
+      });
+    });
+  }
+
+  // ---------------- SHUTDOWN ----------------
+
+  async function shutdown() {
+    appLog.info('bot.shutdown', '🛑 Shutting down...');
+
+    if (adminServer) adminServer.close();
+    if (scheduleTimer) clearInterval(scheduleTimer);
+    linkDispatcher.close().catch(() => {});
+    if (configListener) fs.unwatchFile(CONFIG_PATH, configListener);
+
+    try {
+      await stopStream();
+    } catch {}
+
+    try {
+      await healthLog();
+    } catch {}
+
+    await new Promise(resolve => {
+      db.close(err => {
+        if (err) dbLog.error('db.close_failed', `DB close error: ${err.message}`, errorFields(err));
+        resolve();
+      });
+    });
+  }
+
+  // ---------------- CLI ----------------
+
+  // Review commands work against bot-state.db while the bot keeps running
+  // (add --instance <name> when instances.json defines several bots):
+  //   node index.js queue [status]
+  //   node index.js approve <id> [--by name] [--reason text]
+  //   node index.js reject <id> [--by name] [--reason text]
+  //   node index.js score "<post text>" [--source label]
+  //   node index.js classify "<post text>"
+  //   node index.js retag <id|--all> [topic,...]
+  //   node index.js train-topics [--out path]
+  //   node index.js inspect-link <url> [--fresh]
+  //   node index.js journal [limit]      (what a DRY_RUN would have sent)
+  //   node index.js import-list <list> [--reason text]
+  //   node index.js exclusions [limit]
+  //   node index.js outbox [status]
+  //   node index.js outbox-replay <id>
+  //   node index.js resync [days] [--force]
+  //   node index.js report [days]
+  //   node index.js follows [--sync]
+  //   node index.js config               (the effective config, validated)
+
+  function parseCliArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+      if (args[i].startsWith('--')) {
+        // a flag without a value (last, or followed by another flag) is a switch
+        const value = args[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+          flags[args[i].slice(2)] = true;
+        } else {
+          flags[args[i].slice(2)] = value;
+          i++;
+        }
+      } else {
+        positional.push(args[i]);
+      }
+    }
+    return { positional, flags };
+  }
+
+  function defaultReviewer() {
+    try {
+      return env.REVIEWER || require('os').userInfo().username;
+    } catch {
+      return 'cli';
+    }
+  }
+
+  async function runCli(command, args) {
+    const { positional, flags } = parseCliArgs(args);
+    await initDatabase();
+    loadWebhooks(); // review commands emit events too; the running bot delivers them
+
+    switch (command) {
+      case 'queue': {
+        const items = await listQueue(positional[0] || null);
+        for (const item of items) {
+          const review = item.reviewed_by ? ` by ${item.reviewed_by}${item.review_reason ? `: ${item.review_reason}` : ''}` : '';
+          const score = item.score !== null ? ` score=${item.score} [${item.source}]` : '';
+          console.log(`#${item.id} [${item.status}${review}] @${item.author} lane=${item.lane || 'search'}${score}`);
+          console.log(`   ${(item.text || '').slice(0, 180).replace(/\n/g, ' ')}`);
+        }
+        console.log(`${items.length} items`);
+        break;
+      }
+      case 'approve':
+      case 'reject': {
+        const id = Number(positional[0]);
+        if (!id) throw new Error(`Usage: node index.js ${command} <id> [--by name] [--reason text]`);
+        const reviewer = flags.by || defaultReviewer();
+        if (command === 'approve') await approveQueueItem(id, reviewer, flags.reason || null);
+        else await rejectQueueItem(id, reviewer, flags.reason || null);
+        break;
+      }
+      case 'score': {
+        const result = scorePost(positional.join(' '), flags.source || 'search');
+        console.log(`${result.accepted ? '✅ accepted' : '🚫 rejected'} — ${describeScore(result)}`);
+        break;
+      }
+      case 'classify': {
+        const topics = classifyTopics(positional.join(' '));
+        console.log(`🏷️ ${describeTopics(topics)}`);
+        break;
+      }
+      case 'retag': {
+        const id = Number(positional[0]);
+        if (!id && !flags.all) throw new Error('Usage: node index.js retag <id|--all> [topic,...]');
+        if (id && positional[1]) {
+          if (!(await setQueueTopics(id, positional[1].split(',').map(t => t.trim()).filter(Boolean)))) {
+            throw new Error(`Queue item ${id} not found`);
+          }
+        } else {
+          const result = await retagQueue(id || null);
+          console.log(`Retagged ${result.changed} of ${result.total} items`);
+        }
+        if (id) {
+          const item = await getQueueItem(id);
+          if (!item) throw new Error(`Queue item ${id} not found`);
+          console.log(`#${id} 🏷️ ${describeTopics(queueItemTopics(item))}`);
+        }
+        break;
+      }
+      case 'train-topics': {
+        const result = await trainTopicModel(flags.out || config.TOPIC_MODEL_PATH);
+        const counts = Object.entries(result.topics).map(([topic, n]) => `${topic}=${n}`).join(', ');
+        console.log(`🧠 ${result.documents} posts (${counts}) → ${result.path}`);
+        break;
+      }
+      case 'inspect-link': {
+        if (!positional[0]) throw new Error('Usage: node index.js inspect-link <url> [--fresh]');
+        const info = await inspectLink(positional[0], !!flags.fresh);
+        const icon = { ok: '✅', rejected: '🚫', unknown: '❔' }[info.verdict];
+        console.log(`${icon} ${info.verdict}${info.reason ? ` — ${info.reason}` : ''}${info.cached ? ' (cached)' : ''}`);
+        console.log(`   ${info.hops.join(' → ')}${info.status ? ` [${info.status}]` : ''}`);
+        if (info.project) console.log(`   project: ${info.project}`);
+        if (info.title) console.log(`   title: ${info.title}`);
+        if (info.description) console.log(`   description: ${info.description}`);
+        if (info.image) console.log(`   image: ${info.image}`);
+        break;
+      }
+      case 'journal': {
+        const entries = await listJournal(Number(positional[0]) || 20);
+        for (const entry of entries.reverse()) {
+          console.log(`#${entry.id} ${new Date(entry.created_at).toISOString()} ${entry.action}`);
+          console.log(`   ${JSON.stringify(entry.payload)}`);
+        }
+        break;
+      }
+      case 'import-list': {
+        if (!positional[0]) throw new Error('Usage: node index.js import-list <list uri or link> [--reason text]');
+        if (!(await login())) throw new Error('Login failed');
+        await importListToBlocklist(positional[0], flags.reason ? `list: ${flags.reason}` : null);
+        break;
+      }
+      case 'exclusions': {
+        const entries = await listExclusions(Number(positional[0]) || 20);
+        for (const entry of entries.reverse()) {
+          console.log(`${new Date(entry.created_at).toISOString()} [${entry.source}] @${entry.author_handle}: ${entry.reason}`);
+          console.log(`   ${entry.uri}`);
+        }
+        break;
+      }
+      case 'outbox': {
+        const items = await listOutbox(positional[0] || null, 50);
+        for (const item of items.reverse()) {
+          const error = item.last_error ? ` — ${item.last_error}` : '';
+          console.log(`#${item.id} [${item.status}] ${item.target} ${item.event} attempts=${item.attempts}${error}`);
+          console.log(`   ${item.idempotency_key} → ${item.url}`);
+        }
+        console.log(`${items.length} items`);
+        break;
+      }
+      case 'outbox-replay': {
+        const id = Number(positional[0]);
+        if (!id) throw new Error('Usage: node index.js outbox-replay <id>');
+        if (!(await replayOutboxItem(id))) throw new Error(`Outbox item ${id} not found`);
+        await deliverOutbox();
+        break;
+      }
+      case 'resync':
+        await resyncSiteSpotlights(Number(positional[0]) || 30, !!flags.force);
+        break;
+      case 'report': {
+        loadSchedule(); // posting hours are reported in the schedule's time zone
+        const report = await buildEngagementReport(Number(positional[0]) || 30);
+        const line = group =>
+          `${group.spotlights} spotlights, avg engagement ${group.engagement ?? '-'} ` +
+          `(♥ ${group.likes ?? '-'} ↻ ${group.reposts ?? '-'} 💬 ${group.replies ?? '-'} ❝ ${group.quotes ?? '-'}), ` +
+          `original +${group.originalGain ?? '-'}`;
+
+        console.log(`📈 Last ${report.days} days (${report.timezone}): ${line(report.overall)}`);
+        for (const [title, groups] of [['Tag', report.byTag], ['Source', report.bySource], ['Hour', report.byHour]]) {
+          console.log(`\n${title}`);
+          for (const group of groups) console.log(`   ${group.key.padEnd(24)} ${line(group)}`);
+        }
+        const { start, end, change } = report.followers;
+        console.log(`\nFollowers: ${start ?? '-'} → ${end ?? '-'} (${change === null ? '-' : `${change >= 0 ? '+' : ''}${change}`})`);
+        break;
+      }
+      case 'follows': {
+        if (flags.sync) {
+          if (!(await login())) throw new Error('Login failed');
+          await manageFollows();
+        }
+        const summary = await getFollowSummary();
+        const { limits } = summary;
+        console.log(`Following ${summary.following} (${summary.followedBack} follow back)`);
+        console.log(`Follows: ${summary.followsLastHour}/${limits.hourly} last hour, ${summary.followsLastDay}/${limits.daily} last day`);
+        console.log(`Unfollows: ${summary.unfollowsLastDay}/${limits.unfollowDaily} last day` +
+          (limits.unfollowAfterDays ? `, after ${limits.unfollowAfterDays} days without follow-back or interaction` : ', disabled'));
+        break;
+      }
+      case 'config':
+        console.log(`# ${fs.existsSync(CONFIG_PATH) ? CONFIG_PATH : `${CONFIG_PATH} (not found, defaults and environment only)`}`);
+        console.log(JSON.stringify(describeConfig(config), null, 2));
+        break;
+      default:
+        throw new Error(`Unknown command "${command}" (expected queue, approve, reject, score, classify, retag, train-topics, inspect-link, journal, import-list, exclusions, outbox, outbox-replay, resync, report, follows or config)`);
+    }
+  }
+
+  // ---------------- MAIN ----------------
+
+  async function main() {
+    appLog.info('bot.starting', '🚀 Starting Community Spotlight Bot...');
+    if (DRY_RUN) appLog.info('dryrun.enabled', `🧪 DRY RUN — writes are journaled to ${DB_PATH}, nothing is sent`, { path: DB_PATH });
+
+    await initDatabase();
+    loadFilterRules(); // fail fast on a broken rules file
+    loadTopics();
+    loadSchedule();
+    loadWebhooks();
+    outboxAutoFlush = true;
+
+    const loggedIn = await login();
+    if (!loggedIn) {
+      appLog.error('bot.login_failed', '❌ Login failed. Exiting.');
+      await deliverOutbox(); // let webhooks hear about it
+      return;
+    }
+
+    await healthLog();
+    startAdminServer();
+    watchConfigFile();
+
+    appLog.info('bot.config', `👀 Watching for #spotlight and #promote`);
+    if (config.AUTO_APPROVE) appLog.info('bot.config', '📝 Review disabled (AUTO_APPROVE=true) — queued posts go out without review');
+    appLog.info('bot.config', `⭐ Also monitoring @${config.SPOTLIGHT_USER}`);
+    if (config.CHAT_ENABLED) appLog.info('bot.config', `✉️ Direct messages enabled${config.CHAT_SERVICE_URL ? ` via ${config.CHAT_SERVICE_URL}` : ''}`);
+    if (config.SPOTLIGHT_API_URL) appLog.info('bot.config', `🌐 Website push enabled: ${config.SPOTLIGHT_API_URL}`);
+    else appLog.info('bot.config', `🌐 Website push disabled (set SPOTLIGHT_API_URL to enable)`);
+
+    // Deliveries left over from the last run
+    await deliverOutbox();
+
+    // Initial discovery burst
+    await checkForSubmissions();
+    if (config.CHAT_ENABLED) await checkDirectMessages();
+    await searchStartupPosts();
+    await searchFollowingNetwork();
+
+    // Post immediately if queue already has approved items
+    const { approved: initialApproved, pending: initialPending } = await getStats();
+    if (initialPending > 0) {
+      appLog.info('queue.pending_review', `📝 ${initialPending} items waiting for review (node index.js queue pending)`, {
+        pending: initialPending
+      });
+    }
+    if (initialApproved > 0 && await jobAllowedNow('post')) {
+      appLog.info('queue.initial_post', `📌 Initial queue has ${initialApproved} approved items — posting one now...`, {
+        approved: initialApproved
+      });
+      await postSpotlight();
+    }
+
+    // Streaming replaces the hashtag search loop; the initial search above covers any gap
+    const streaming = await startStream();
+
+    // Recurring work
+    scheduleJob('checkSubmissions', checkForSubmissions, 'CHECK_INTERVAL');
+    if (config.CHAT_ENABLED) scheduleJob('directMessages', checkDirectMessages, 'CHECK_INTERVAL');
+    if (!streaming) scheduleJob('search', searchStartupPosts, 'SEARCH_INTERVAL');
+    scheduleJob('network', searchFollowingNetwork, 'NETWORK_INTERVAL');
+    scheduleJob('post', postSpotlight, 'POST_INTERVAL');
+    scheduleJob('followBack', followBack, 'FOLLOWBACK_INTERVAL');
+    scheduleJob('follows', manageFollows, 'FOLLOW_SYNC_INTERVAL');
+    scheduleJob('health', healthLog, 'HEALTH_INTERVAL');
+    scheduleJob('outbox', deliverOutbox, 'OUTBOX_INTERVAL');
+    scheduleJob('engagement', collectEngagement, 'ENGAGEMENT_INTERVAL');
+
+    appLog.info('bot.running', '✅ Bot is running');
+  }
+
+  // Calls from outside run in this bot's context, so its XRPC calls use its fetch handler
+  const inContext = fn => (...args) => botContext.run(rateLimitedFetch, () => fn(...args));
+
+  return {
+    name: INSTANCE_NAME,
+    main: inContext(main),
+    runCli: inContext(runCli),
+    shutdown: inContext(shutdown),
+    reloadConfig: inContext(reloadConfig),
+    // single steps of the pipeline, for tests and embedding
+    initDatabase: inContext(initDatabase),
+    checkDirectMessages: inContext(checkDirectMessages),
+    inspectLink: inContext(inspectLink),
+    inspectPostLinks: inContext(inspectPostLinks),
+    startStream: inContext(startStream),
+    stopStream: inContext(stopStream),
+    deliverOutbox: inContext(deliverOutbox),
+    addToQueue: inContext(addToQueue),
+    uploadThumbnail: inContext(uploadThumbnail),
+    // pure helpers, for tests
+    truncateExcerpt,
+    composeSpotlight,
+    classifyTopics,
+    compileFilterConfig,
+    scorePost,
+    canonicalizeUrl,
+    simhash,
+    hammingDistance,
+    compileJobSchedule,
+    inWindows,
+    close: () => {
+      linkDispatcher.close().catch(() => {});
+      db.close();
+    }
+  };
+}
+
+// ---------------- ENTRY ----------------
+
+function runEntry() {
+  const [cliCommand, ...cliArgs] = process.argv.slice(2);
+
+  let instances = null;
+  try {
+    instances = loadInstances();
+  } catch (err) {
+    createLogger('app').error('instances.invalid', `❌ Invalid instances file: ${err.message}`, errorFields(err));
+    process.exit(1);
+  }
+
+  // CLI commands work on one bot: --instance <name> picks it when there are several
+  function cliBot() {
+    if (!instances) return createBot();
+
+    const flag = cliArgs.indexOf('--instance');
+    const name = flag >= 0 ? cliArgs.splice(flag, 2)[1] : process.env.INSTANCE;
+    if (!name && instances.length === 1) return createBot(instances[0]);
+
+    const instance = instances.find(candidate => candidate.name === name);
+    if (!instance) {
+      throw new Error(`Pick an instance with --instance <name> (${instances.map(candidate => candidate.name).join(', ')})`);
+    }
+    return createBot(instance);
+  }
+
+  if (cliCommand) {
+    let bot = null;
+    Promise.resolve()
+      .then(() => {
+        bot = cliBot();
+        return bot.runCli(cliCommand, cliArgs);
+      })
+      .then(() => bot.close())
+      .catch(err => {
+        console.error('❌', err.message || err);
+        if (bot) bot.close();
+        process.exitCode = 1;
+      });
+  } else {
+    // An invalid config stops startup before anything runs
+    let bots;
+    try {
+      bots = (instances || [{}]).map(createBot);
+    } catch (err) {
+      createLogger('app').error('config.invalid', `❌ ${err.message}`, errorFields(err));
+      process.exit(1);
+    }
+
+    process.on('SIGINT', async () => {
+      await Promise.all(bots.map(bot => bot.shutdown()));
+      process.exit(0);
+    });
+
+    process.on('SIGHUP', () => {
+      for (const bot of bots) bot.reloadConfig('SIGHUP');
+    });
+
+    // One bot failing to start doesn't stop the others
+    for (const bot of bots) {
+      bot.main().catch(err => {
+        createLogger('app', bot.name).error('bot.fatal', `Fatal error: ${err.message || err}`, errorFields(err));
+        bot.close();
+        if (bots.length === 1) process.exit(1);
+        process.exitCode = 1;
+      });
+    }
+  }
+}
+
+// parseSetting and loadConfig don't need a bot; tests use them directly
+module.exports = { createBot, parseSetting, loadConfig };
+
+// Run directly it's the bot (or a CLI command); required, it only hands out the factory
+if (require.main === module) runEntry();
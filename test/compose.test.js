@@ -0,0 +1,88 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('..');
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const graphemeLength = text => [...segmenter.segment(text)].length;
+
+const FAMILY = '👨‍👩‍👧‍👦'; // one grapheme, seven code points
+const FLAG = '🇧🇷';
+
+let dir;
+let templatesDir;
+let bot;
+
+function writeTemplates(templates) {
+  fs.rmSync(templatesDir, { recursive: true, force: true });
+  fs.mkdirSync(templatesDir);
+  for (const [name, body] of Object.entries(templates)) fs.writeFileSync(path.join(templatesDir, `${name}.txt`), body);
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-compose-'));
+  templatesDir = path.join(dir, 'templates');
+  bot = createBot({
+    name: 'compose',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      TEMPLATES_DIR: templatesDir
+    }
+  });
+});
+
+after(() => {
+  bot.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('short excerpts are kept as they are', () => {
+  assert.strictEqual(bot.truncateExcerpt('A cozy game.', 12), 'A cozy game.');
+  assert.strictEqual(bot.truncateExcerpt(`${FAMILY}${FLAG}`, 2), `${FAMILY}${FLAG}`);
+});
+
+test('excerpts end on a sentence, then on a word with an ellipsis', () => {
+  const text = 'Tiny Garden is out. It is a cozy game about plants and the people who grow them.';
+  assert.strictEqual(bot.truncateExcerpt(text, 40), 'Tiny Garden is out.');
+  assert.strictEqual(bot.truncateExcerpt('It is a cozy game about plants, and the people who grow them', 33), 'It is a cozy game about plants…');
+  assert.strictEqual(bot.truncateExcerpt('Supercalifragilisticexpialidocious', 10), 'Supercali…');
+  assert.strictEqual(bot.truncateExcerpt('anything', 1), '');
+});
+
+test('emoji and flags count as one grapheme and are never split', () => {
+  const text = `${FAMILY.repeat(30)} ${FLAG.repeat(30)}`;
+  const cut = bot.truncateExcerpt(text, 45);
+  assert.strictEqual(cut, `${FAMILY.repeat(30)}…`);
+  assert.ok(graphemeLength(cut) <= 45);
+
+  const dense = bot.truncateExcerpt(FLAG.repeat(50), 20);
+  assert.strictEqual(dense, `${FLAG.repeat(19)}…`);
+});
+
+test('spotlights fit the grapheme budget, cutting only the excerpt', () => {
+  writeTemplates({ plain: '🌟 @{{author}}\n\n{{excerpt}}{{#link}}\n👉 {{link}}{{/link}}' });
+  const excerpt = `${'Tiny Garden is a cozy game about plants. '.repeat(4)}${FAMILY.repeat(300)}`;
+  const result = bot.composeSpotlight({ author: 'alice.test', link: 'https://example.com/app' }, excerpt);
+
+  assert.strictEqual(result.template, 'plain');
+  assert.ok(graphemeLength(result.text) <= 300);
+  assert.ok(result.text.startsWith('🌟 @alice.test\n\nTiny Garden is a cozy game about plants.'));
+  assert.strictEqual(result.text, `🌟 @alice.test\n\n${result.excerpt}\n👉 https://example.com/app`);
+});
+
+test('templates rotate, and one without room for an excerpt is skipped', () => {
+  writeTemplates({ a: 'A {{excerpt}}', b: 'B {{excerpt}}', c: `${'x'.repeat(290)} {{excerpt}}` });
+  const excerpt = 'A cozy gardening game about growing plants on a windowsill, out now.';
+  const used = [1, 2, 3, 4].map(() => bot.composeSpotlight({}, excerpt).template);
+  assert.deepStrictEqual(used.sort(), ['a', 'a', 'b', 'b']);
+
+  writeTemplates({ c: `${'x'.repeat(290)} {{excerpt}}` });
+  assert.throws(() => bot.composeSpotlight({}, excerpt), /No template fits within 300 graphemes/);
+});
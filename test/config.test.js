@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSetting, loadConfig } = require('..');
+
+let dir;
+
+function configFile(values) {
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-config-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the environment wins over the config file, which wins over the defaults', () => {
+  const file = configFile({ POST_INTERVAL_MINUTES: 20, MAX_POST_AGE_DAYS: 5 });
+  const config = loadConfig({ POST_INTERVAL_MINUTES: '30' }, file);
+
+  assert.strictEqual(config.POST_INTERVAL_MINUTES, 30);
+  assert.strictEqual(config.POST_INTERVAL, 30 * 60 * 1000);
+  assert.strictEqual(config.MAX_POST_AGE_DAYS, 5);
+  assert.strictEqual(config.MAX_QUEUE, 2000);
+});
+
+test('an empty environment value falls back to the file', () => {
+  const file = configFile({ POST_INTERVAL_MINUTES: 20 });
+  assert.strictEqual(loadConfig({ POST_INTERVAL_MINUTES: '' }, file).POST_INTERVAL_MINUTES, 20);
+});
+
+test('a missing config file means defaults', () => {
+  const config = loadConfig({}, path.join(dir, 'missing.json'));
+  assert.strictEqual(config.POST_INTERVAL_MINUTES, 10);
+  assert.ok(config.SEARCH_TERMS.includes('#promote'));
+});
+
+test('lists from the environment are comma-separated and trimmed', () => {
+  const config = loadConfig({ SEARCH_TERMS: '#promote, #indiedev,,' }, path.join(dir, 'missing.json'));
+  assert.deepStrictEqual(config.SEARCH_TERMS, ['#promote', '#indiedev']);
+});
+
+test('COMMAND_ALIASES is merged over the defaults and null removes a word', () => {
+  const setting = { type: 'aliases', default: { stop: 'optout', help: 'help' } };
+
+  const [fromFile] = parseSetting(setting, { Plz: 'submit', stop: null }, false);
+  assert.deepStrictEqual(fromFile, { help: 'help', plz: 'submit' });
+
+  const [fromEnv] = parseSetting(setting, '{"halt":"optout"}', true);
+  assert.deepStrictEqual(fromEnv, { stop: 'optout', help: 'help', halt: 'optout' });
+
+  assert.match(parseSetting(setting, { go: 'launch' }, false)[1], /unknown command "launch"/);
+  assert.strictEqual(parseSetting(setting, '{go', true)[1], 'must be a JSON object of word -> command');
+});
+
+test('numbers and booleans are only parsed from strings when they come from the environment', () => {
+  assert.deepStrictEqual(parseSetting({ type: 'number' }, '2.5', true), [2.5]);
+  assert.deepStrictEqual(parseSetting({ type: 'number' }, '2.5', false), [null, 'must be a number']);
+  assert.deepStrictEqual(parseSetting({ type: 'integer' }, '2.5', true), [null, 'must be a whole number']);
+  assert.deepStrictEqual(parseSetting({ type: 'boolean' }, 'true', true), [true]);
+  assert.deepStrictEqual(parseSetting({ type: 'boolean' }, 'yes', true), [null, 'must be true or false']);
+});
+
+test('every invalid value is reported in one error', () => {
+  const file = configFile({ POST_INTERVAL_MINUTES: 0, POST_INTERVALL: 5 });
+  assert.throws(
+    () => loadConfig({ CHAT_SERVICE_URL: 'ftp://chat.example', MAX_QUEUE: 'lots' }, file),
+    err => {
+      const lines = err.message.split('\n');
+      assert.strictEqual(lines[0], 'Invalid config:');
+      assert.deepStrictEqual(lines.slice(1).map(line => line.trim()).sort(), [
+        `${file}: POST_INTERVAL_MINUTES must be at least 1 (got 0)`,
+        `${file}: unknown setting POST_INTERVALL`,
+        'environment: CHAT_SERVICE_URL must be an http(s) URL (got "ftp://chat.example")',
+        'environment: MAX_QUEUE must be a number (got "lots")'
+      ].sort());
+      return true;
+    }
+  );
+});
+
+test('a config file that is not a JSON object is refused', () => {
+  const file = path.join(dir, 'broken.json');
+  fs.writeFileSync(file, '[1, 2]');
+  assert.throws(() => loadConfig({}, file), { message: `${file}: must be a JSON object of setting -> value` });
+});
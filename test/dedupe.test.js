@@ -0,0 +1,120 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createBot } = require('..');
+
+let dir;
+let bot;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-dedupe-'));
+  bot = createBot({
+    name: 'dedupe',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json')
+    }
+  });
+  await bot.initDatabase();
+});
+
+after(() => {
+  bot.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function queueRow(id) {
+  const db = new sqlite3.Database(path.join(dir, 'bot.db'));
+  return new Promise((resolve, reject) => {
+    db.get('SELECT status, lane, reviewed_by, review_reason, duplicate_of FROM post_queue WHERE id = ?', [id], (err, row) => {
+      db.close();
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+let posts = 0;
+function submission(text, source = 'search:#promote') {
+  posts++;
+  return {
+    author: `author${posts}.test`,
+    authorDid: `did:plc:author${posts}`,
+    text,
+    uri: `at://did:plc:author${posts}/app.bsky.feed.post/${posts}`,
+    timestamp: Date.now(),
+    source
+  };
+}
+
+test('canonicalizeUrl drops what does not change the destination', () => {
+  assert.strictEqual(
+    bot.canonicalizeUrl('https://www.Example.com/game/?utm_source=bsky&b=2&a=1&fbclid=x'),
+    'example.com/game?a=1&b=2'
+  );
+  assert.strictEqual(bot.canonicalizeUrl('http://m.example.com/game'), 'example.com/game');
+  assert.strictEqual(bot.canonicalizeUrl('https://youtu.be/abc123?si=share'), 'youtube.com/watch?v=abc123');
+  assert.strictEqual(bot.canonicalizeUrl('https://twitter.com/dev/status/1'), 'x.com/dev/status/1');
+  assert.strictEqual(
+    bot.canonicalizeUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fgame%3Futm_medium%3Dsocial'),
+    'example.com/game'
+  );
+  assert.strictEqual(bot.canonicalizeUrl('at://did:plc:a/app.bsky.feed.post/1'), 'at://did:plc:a/app.bsky.feed.post/1');
+  assert.strictEqual(bot.canonicalizeUrl('ftp://example.com/file'), null);
+  assert.strictEqual(bot.canonicalizeUrl('not a url'), null);
+});
+
+test('simhash ignores case, mentions and links, stays close for added words and is null for short texts', () => {
+  const text = 'Tiny Garden is a cozy gardening game about growing plants on a windowsill, out now on itch';
+  const edited = `So happy: ${text} #gamedev`;
+  const other = 'I wrote a command line tool that turns markdown notes into a static site with search';
+
+  assert.match(bot.simhash(text), /^[0-9a-f]{16}$/);
+  assert.strictEqual(bot.simhash(text), bot.simhash(text.toUpperCase()));
+  assert.strictEqual(bot.simhash(text), bot.simhash(`@someone ${text} https://example.com/x`));
+  assert.ok(bot.hammingDistance(bot.simhash(text), bot.simhash(edited)) <= 8);
+  assert.ok(bot.hammingDistance(bot.simhash(text), bot.simhash(other)) > 8);
+  assert.strictEqual(bot.simhash('check out my game'), null);
+});
+
+test('a post sharing a link with a queued one is a duplicate of it', async () => {
+  const original = await bot.addToQueue(submission('New devlog for Tiny Garden https://example.com/devlog?utm_source=bsky'));
+  assert.deepStrictEqual(original, { duplicateOf: null });
+
+  const copy = await bot.addToQueue(submission('read this https://www.example.com/devlog/'));
+  assert.deepStrictEqual(copy, { duplicateOf: 1 });
+  assert.deepStrictEqual(await queueRow(2), {
+    status: 'rejected',
+    lane: 'search',
+    reviewed_by: 'dedupe',
+    review_reason: 'duplicate of #1 (same link example.com/devlog)',
+    duplicate_of: 1
+  });
+});
+
+test('a near-identical text is a duplicate and lifts the original into its lane', async () => {
+  const text = 'Pixel Pals is a tiny co-op puzzle game for two players on one keyboard, demo out this week';
+  const { duplicateOf } = await bot.addToQueue(submission(text));
+  assert.strictEqual(duplicateOf, null);
+  const originalId = 3;
+
+  const repost = await bot.addToQueue(submission(`${text}!!`, 'mention'));
+  assert.strictEqual(repost.duplicateOf, originalId);
+  assert.match((await queueRow(4)).review_reason, /^duplicate of #3 \(similar text, distance \d+\)$/);
+  assert.strictEqual((await queueRow(originalId)).lane, 'direct');
+});
+
+test('unrelated posts are both queued', async () => {
+  const first = await bot.addToQueue(submission('A pixel art editor for the terminal, written in Rust, with layers and onion skinning'));
+  const second = await bot.addToQueue(submission('Our board game about lighthouse keepers just hit its crowdfunding goal, thank you all'));
+  assert.strictEqual(first.duplicateOf, null);
+  assert.strictEqual(second.duplicateOf, null);
+  assert.strictEqual((await queueRow(6)).status, 'pending');
+});
@@ -0,0 +1,162 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createBot } = require('..');
+
+// A chat service with one conversation; each test queues the messages it wants read
+const chat = { server: null, url: null, inbox: [], sent: [] };
+
+function startChatService() {
+  chat.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const reply = data => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      switch (url.pathname) {
+        case '/xrpc/chat.bsky.convo.listConvos':
+          return reply({
+            convos: [{ id: 'convo-1', unreadCount: chat.inbox.length, members: [{ did: 'did:plc:alice', handle: 'alice.test' }] }]
+          });
+        case '/xrpc/chat.bsky.convo.getMessages':
+          return reply({ messages: [...chat.inbox].reverse() });
+        case '/xrpc/chat.bsky.convo.sendMessage':
+          chat.sent.push(JSON.parse(body));
+          return reply({ id: `sent-${chat.sent.length}` });
+        case '/xrpc/chat.bsky.convo.updateRead':
+          chat.inbox = [];
+          return reply({});
+        default:
+          res.writeHead(404, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+      }
+    });
+  });
+  return new Promise(resolve => chat.server.listen(0, '127.0.0.1', () => {
+    chat.url = `http://127.0.0.1:${chat.server.address().port}`;
+    resolve();
+  }));
+}
+
+let dir;
+let bot;
+
+function queueRows() {
+  const db = new sqlite3.Database(path.join(dir, 'bot.db'));
+  return new Promise((resolve, reject) => {
+    db.all('SELECT uri, link_url, source, status FROM post_queue ORDER BY id', (err, rows) => {
+      db.close();
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+let messageCount = 0;
+function receive(text) {
+  messageCount++;
+  chat.inbox.push({
+    id: `msg-${messageCount}`,
+    sender: { did: 'did:plc:alice' },
+    text,
+    sentAt: new Date(Date.now() + messageCount).toISOString()
+  });
+}
+
+before(async () => {
+  await startChatService();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-dm-'));
+  bot = createBot({
+    name: 'test',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      CHAT_ENABLED: 'true',
+      CHAT_SERVICE_URL: chat.url,
+      LINK_CHECKS: 'false'
+    }
+  });
+  await bot.initDatabase();
+});
+
+after(() => {
+  bot.close();
+  chat.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a link sent by direct message is queued under link_url, not uri', async () => {
+  receive('my side project https://example.com/app');
+  await bot.checkDirectMessages();
+
+  assert.deepStrictEqual(await queueRows(), [
+    { uri: null, link_url: 'https://example.com/app', source: 'dm', status: 'pending' }
+  ]);
+  assert.strictEqual(chat.sent.length, 1);
+  assert.strictEqual(chat.sent[0].convoId, 'convo-1');
+  assert.match(chat.sent[0].message.text, /queued for review/);
+});
+
+test('the same link sent again is not queued twice', async () => {
+  receive('submit https://example.com/app');
+  await bot.checkDirectMessages();
+
+  assert.strictEqual((await queueRows()).length, 1);
+  assert.strictEqual(chat.sent.at(-1).message.text, 'Already got this one!');
+});
+
+test('messages without a link get the command list', async () => {
+  receive('hello there');
+  await bot.checkDirectMessages();
+
+  assert.strictEqual((await queueRows()).length, 1);
+  assert.match(chat.sent.at(-1).message.text, /submit/);
+});
+
+test('a message that only starts with an opt-out word is not an opt-out', async () => {
+  receive('Stop by our booth tomorrow');
+  await bot.checkDirectMessages();
+
+  assert.match(chat.sent.at(-1).message.text, /^Commands:/);
+  const db = new sqlite3.Database(path.join(dir, 'bot.db'));
+  const blocked = await new Promise((resolve, reject) => {
+    db.get('SELECT COUNT(*) AS count FROM blocklist', (err, row) => {
+      db.close();
+      if (err) reject(err);
+      else resolve(row.count);
+    });
+  });
+  assert.strictEqual(blocked, 0);
+  assert.strictEqual((await queueRows()).length, 1);
+});
+
+test('messages that only start with status or help are submissions, not commands', async () => {
+  receive('Status update: v1.0 shipped! https://example.com/v1');
+  receive('Help wanted testing my indie game https://example.com/game');
+  await bot.checkDirectMessages();
+
+  const links = (await queueRows()).map(row => row.link_url);
+  assert.deepStrictEqual(links.slice(-2), ['https://example.com/v1', 'https://example.com/game']);
+  assert.match(chat.sent.at(-1).message.text, /queued for review/);
+});
+
+test('the commands themselves still work as whole messages', async () => {
+  receive('status');
+  await bot.checkDirectMessages();
+  assert.match(chat.sent.at(-1).message.text, /^Your queued posts:\n• waiting for review/);
+
+  receive('help!');
+  await bot.checkDirectMessages();
+  assert.match(chat.sent.at(-1).message.text, /^Commands:/);
+});
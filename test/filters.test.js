@@ -0,0 +1,126 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('..');
+
+const RULES = {
+  threshold: 5,
+  rules: [
+    { id: 'spam', type: 'keywords', words: ['oferta', 'buy now'], weight: -100 },
+    { id: 'promote', type: 'hashtag', tags: ['#promote'], weight: 10 },
+    { id: 'made', type: 'regex', pattern: '\\b(i|we) (made|built)\\b', weight: 3 },
+    { id: 'with-made', type: 'keywords', words: ['game'], weight: 2, requires: ['made'] },
+    { id: 'indie', type: 'keywords', words: ['indie', 'solo dev'], weight: 1, perMatch: true, maxMatches: 2 },
+    { id: 'links', type: 'links', min: 3, weight: -50 },
+    { id: 'short', type: 'length', max: 19, weight: -10 }
+  ],
+  sources: {
+    'search:*': { threshold: 8 },
+    mention: { threshold: 0, weights: { short: 0 } }
+  }
+};
+
+let dir;
+let rulesPath;
+let bot;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-filters-'));
+  rulesPath = path.join(dir, 'filter-rules.json');
+  fs.writeFileSync(rulesPath, JSON.stringify(RULES));
+  bot = createBot({
+    name: 'filters',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      FILTER_RULES_PATH: rulesPath
+    }
+  });
+});
+
+after(() => {
+  bot.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const fired = result => result.fired.map(rule => `${rule.id}:${rule.weight}`);
+
+test('rules that fire add up their weights against the threshold', () => {
+  const result = bot.scorePost('We made a cozy game, first release #promote', 'dm');
+  assert.deepStrictEqual(fired(result), ['promote:10', 'made:3', 'with-made:2']);
+  assert.strictEqual(result.score, 15);
+  assert.strictEqual(result.threshold, 5);
+  assert.strictEqual(result.accepted, true);
+
+  const spam = bot.scorePost('Oferta! Buy now, only today #promote', 'dm');
+  assert.deepStrictEqual(fired(spam), ['spam:-100', 'promote:10']);
+  assert.strictEqual(spam.accepted, false);
+});
+
+test('a rule with requires only fires after the rules it names', () => {
+  assert.deepStrictEqual(fired(bot.scorePost('Playing a new game tonight, come hang out', 'dm')), []);
+});
+
+test('perMatch rules count distinct matches up to maxMatches', () => {
+  assert.deepStrictEqual(fired(bot.scorePost('indie news from an indie dev and solo dev friends', 'dm')), ['indie:2']);
+  assert.deepStrictEqual(fired(bot.scorePost('one more post about being a solo dev', 'dm')), ['indie:1']);
+});
+
+test('words match whole words only, accented ones included', () => {
+  assert.deepStrictEqual(fired(bot.scorePost('Ofertas de verão não contam aqui, certo?', 'dm')), []);
+  assert.deepStrictEqual(fired(bot.scorePost('#promoted and #promotion are other tags', 'dm')), []);
+});
+
+test('links are counted from the text, or from the record when there is one', () => {
+  const text = 'my three projects https://a.example https://b.example https://c.example';
+  assert.deepStrictEqual(fired(bot.scorePost(text, 'dm')), ['links:-50']);
+
+  const record = { text: 'my projects (links below)', facets: [] };
+  assert.deepStrictEqual(fired(bot.scorePost(record.text, 'dm', record)), []);
+});
+
+test('source overrides change the threshold and weights by exact label or prefix', () => {
+  const text = 'I built this #promote';
+  assert.strictEqual(bot.scorePost(text, 'search:#promote').threshold, 8);
+  assert.strictEqual(bot.scorePost(text, 'search:#promote').accepted, true);
+  assert.strictEqual(bot.scorePost('#promote today', 'search:#promote').accepted, false);
+
+  const mention = bot.scorePost('hi', 'mention');
+  assert.deepStrictEqual(fired(mention), []);
+  assert.strictEqual(mention.accepted, true);
+  assert.deepStrictEqual(fired(bot.scorePost('hi', 'dm')), ['short:-10']);
+});
+
+test('rule files are validated with the rule that is wrong', () => {
+  const compile = rules => () => bot.compileFilterConfig({ threshold: 1, rules });
+  assert.throws(compile([{ type: 'keywords', words: ['x'], weight: 1 }]), /rules\[0\]: "id" is required/);
+  assert.throws(compile([{ id: 'a', type: 'links', min: 1, weight: 1 }, { id: 'a', type: 'links', min: 1, weight: 1 }]), /rules\[1\] \(a\): duplicate id/);
+  assert.throws(compile([{ id: 'a', type: 'emoji', weight: 1 }]), /unknown type "emoji"/);
+  assert.throws(compile([{ id: 'a', type: 'links', min: 1, weight: '2' }]), /"weight" must be a number/);
+  assert.throws(compile([{ id: 'a', type: 'links', min: 1, weight: 1, requires: ['b'] }, { id: 'b', type: 'links', min: 1, weight: 1 }]),
+    /requires unknown or later rule "b"/);
+  assert.throws(compile([{ id: 'a', type: 'hashtag', tags: [], weight: 1 }]), /"tags" must be a non-empty array/);
+  assert.throws(compile([{ id: 'a', type: 'regex', pattern: '(', weight: 1 }]), /bad pattern/);
+  assert.throws(compile([{ id: 'a', type: 'length', weight: 1 }]), /needs "min" and\/or "max"/);
+  assert.throws(() => bot.compileFilterConfig({ threshold: 1, rules: [], sources: { dm: { weights: { nope: 1 } } } }),
+    /sources\.dm: unknown rule "nope"/);
+  assert.throws(() => bot.compileFilterConfig({ rules: [] }), /"threshold" must be a number/);
+});
+
+test('an edited rules file is picked up, and a broken edit keeps the previous rules', () => {
+  const touch = offsetMs => fs.utimesSync(rulesPath, new Date(), new Date(Date.now() + offsetMs));
+
+  fs.writeFileSync(rulesPath, JSON.stringify({ ...RULES, threshold: 1 }));
+  touch(10000);
+  assert.strictEqual(bot.scorePost('anything', 'dm').threshold, 1);
+
+  fs.writeFileSync(rulesPath, '{ "threshold": ');
+  touch(20000);
+  assert.strictEqual(bot.scorePost('anything', 'dm').threshold, 1);
+});
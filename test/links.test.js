@@ -0,0 +1,236 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createBot } = require('..');
+
+// A project site and a URL shortener in front of it, both on loopback
+const hits = [];
+
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    handler(req, res);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function redirect(res, location, status = 302) {
+  res.writeHead(status, { location });
+  res.end();
+}
+
+let site;
+let shortener;
+let siteUrl;
+let shortUrl;
+
+function siteRoutes(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  switch (pathname) {
+    case '/app':
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      return res.end(`<html><head>
+        <meta property="og:title" content="Tiny Garden">
+        <meta property="og:description" content="A cozy gardening game">
+        <title>ignored</title>
+      </head><body></body></html>`);
+    case '/moved':
+      return redirect(res, '/app', 301);
+    case '/gone':
+      res.writeHead(404);
+      return res.end();
+    case '/removed':
+      res.writeHead(410);
+      return res.end();
+    case '/busy':
+      res.writeHead(503);
+      return res.end();
+    case '/loop-a':
+      return redirect(res, '/loop-b');
+    case '/loop-b':
+      return redirect(res, '/loop-a');
+    case '/slow':
+      return setTimeout(() => res.end('late'), 3000);
+    case '/thumb.png':
+      res.writeHead(200, { 'content-type': 'image/png' });
+      return res.end(Buffer.alloc(2048));
+    case '/huge.png':
+      res.writeHead(200, { 'content-type': 'image/png', 'content-length': 2000000 });
+      return res.end(Buffer.alloc(2000000));
+    case '/huge-chunked.png':
+      // no content-length, so only the bytes read can tell
+      res.writeHead(200, { 'content-type': 'image/png' });
+      for (let i = 0; i < 20; i++) res.write(Buffer.alloc(100000));
+      return res.end();
+    case '/stalled.png':
+      res.writeHead(200, { 'content-type': 'image/png' });
+      res.write(Buffer.alloc(1024));
+      return setTimeout(() => res.end(), 3000);
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+}
+
+let dir;
+let bot;
+let guarded;
+let thumbs;
+
+function botEnv(name, extra = {}) {
+  return {
+    BLUESKY_USERNAME: 'bot.test',
+    DB_PATH: path.join(dir, `${name}.db`),
+    CONFIG_PATH: path.join(dir, 'config.json'),
+    WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+    LINK_TIMEOUT_SECONDS: '1',
+    LINK_MAX_REDIRECTS: '3',
+    LINK_MAX_PER_POST: '1',
+    ...extra
+  };
+}
+
+before(async () => {
+  site = await listen(siteRoutes);
+  shortener = await listen((req, res) => redirect(res, `${siteUrl}/app`, 301));
+  siteUrl = `http://127.0.0.1:${site.address().port}`;
+  shortUrl = `http://127.0.0.1:${shortener.address().port}`;
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-links-'));
+  bot = createBot({
+    name: 'links',
+    env: botEnv('links', {
+      LINK_ALLOW_PRIVATE: 'true',
+      LINK_SHORTENER_DOMAINS: `127.0.0.1:${shortener.address().port}`
+    })
+  });
+  guarded = createBot({ name: 'guarded', env: botEnv('guarded') });
+  // dry run journals uploads instead of sending them
+  thumbs = createBot({ name: 'thumbs', env: botEnv('thumbs', { LINK_ALLOW_PRIVATE: 'true', DRY_RUN: 'true' }) });
+  await bot.initDatabase();
+  await guarded.initDatabase();
+  await thumbs.initDatabase();
+});
+
+after(() => {
+  bot.close();
+  guarded.close();
+  thumbs.close();
+  site.close();
+  shortener.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a working page is accepted with its OpenGraph metadata', async () => {
+  const info = await bot.inspectLink(`${siteUrl}/app`, true);
+  assert.strictEqual(info.verdict, 'ok');
+  assert.strictEqual(info.status, 200);
+  assert.strictEqual(info.title, 'Tiny Garden');
+  assert.strictEqual(info.description, 'A cozy gardening game');
+});
+
+test('redirects are followed to the landing page', async () => {
+  const info = await bot.inspectLink(`${siteUrl}/moved`, true);
+  assert.strictEqual(info.verdict, 'ok');
+  assert.strictEqual(info.finalUrl, `${siteUrl}/app`);
+  assert.deepStrictEqual(info.hops, [`${siteUrl}/moved`, `${siteUrl}/app`]);
+});
+
+test('404 and 410 are dead links', async () => {
+  assert.strictEqual((await bot.inspectLink(`${siteUrl}/gone`, true)).reason, 'dead link (404)');
+  assert.strictEqual((await bot.inspectLink(`${siteUrl}/removed`, true)).reason, 'dead link (410)');
+});
+
+test('server errors and timeouts are unknown, not rejections', async () => {
+  const busy = await bot.inspectLink(`${siteUrl}/busy`, true);
+  assert.strictEqual(busy.verdict, 'unknown');
+  assert.strictEqual(busy.reason, 'HTTP 503');
+
+  const slow = await bot.inspectLink(`${siteUrl}/slow`, true);
+  assert.strictEqual(slow.verdict, 'unknown');
+  assert.strictEqual(slow.reason, 'timed out');
+});
+
+test('a redirect loop is rejected', async () => {
+  const info = await bot.inspectLink(`${siteUrl}/loop-a`, true);
+  assert.strictEqual(info.verdict, 'rejected');
+  assert.strictEqual(info.reason, 'too many redirects');
+});
+
+test('a shortener is rejected once its target is known', async () => {
+  const info = await bot.inspectLink(`${shortUrl}/x1`, true);
+  assert.strictEqual(info.verdict, 'rejected');
+  assert.match(info.reason, /^shortener 127\.0\.0\.1:\d+ → 127\.0\.0\.1$/);
+  assert.strictEqual(info.finalUrl, `${siteUrl}/app`);
+});
+
+test('results are cached', async () => {
+  await bot.inspectLink(`${siteUrl}/app?cached=1`);
+  const seen = hits.length;
+  const info = await bot.inspectLink(`${siteUrl}/app?cached=1`);
+  assert.strictEqual(info.cached, true);
+  assert.strictEqual(hits.length, seen);
+});
+
+test('links past LINK_MAX_PER_POST still get the domain and parameter checks', async () => {
+  const seen = hits.length;
+  const result = await bot.inspectPostLinks({ text: `new build ${siteUrl}/app?v=2 and ${siteUrl}/shop?aff_id=42` });
+  assert.deepStrictEqual(result.rejected, { url: `${siteUrl}/shop?aff_id=42`, reason: 'affiliate link (aff_id=)' });
+  assert.strictEqual(hits.length, seen);
+});
+
+test('only the first LINK_MAX_PER_POST links are fetched', async () => {
+  const seen = hits.length;
+  const result = await bot.inspectPostLinks({ text: `${siteUrl}/app?v=3 ${siteUrl}/gone?v=3` });
+  assert.strictEqual(result.rejected, null);
+  assert.deepStrictEqual(result.links.map(link => link.title), ['Tiny Garden']);
+  assert.deepStrictEqual(hits.slice(seen), ['/app?v=3']);
+});
+
+test('private addresses are refused unless LINK_ALLOW_PRIVATE is set', async () => {
+  const seen = hits.length;
+  const literal = await guarded.inspectLink(`${siteUrl}/app`, true);
+  assert.strictEqual(literal.verdict, 'rejected');
+  assert.strictEqual(literal.reason, 'private address 127.0.0.1');
+
+  const named = await guarded.inspectLink(`http://localhost:${site.address().port}/app`, true);
+  assert.strictEqual(named.verdict, 'rejected');
+  assert.match(named.reason, /private address/);
+
+  const mapped = await guarded.inspectLink(`http://[::ffff:127.0.0.1]:${site.address().port}/app`, true);
+  assert.strictEqual(mapped.verdict, 'rejected');
+  assert.strictEqual(hits.length, seen);
+});
+
+function journaledUploads() {
+  const db = new sqlite3.Database(path.join(dir, 'thumbs.db'));
+  return new Promise((resolve, reject) => {
+    db.get("SELECT COUNT(*) AS count FROM dry_run_journal WHERE action = 'uploadBlob'", (err, row) => {
+      db.close();
+      if (err) reject(err);
+      else resolve(row.count);
+    });
+  });
+}
+
+test('a link card thumbnail within the size limit is uploaded', async () => {
+  await thumbs.uploadThumbnail(`${siteUrl}/thumb.png`);
+  assert.strictEqual(await journaledUploads(), 1);
+});
+
+test('oversized and stalled thumbnails are dropped before any upload', async () => {
+  assert.strictEqual(await thumbs.uploadThumbnail(`${siteUrl}/huge.png`), null);
+  assert.strictEqual(await thumbs.uploadThumbnail(`${siteUrl}/huge-chunked.png`), null);
+
+  const started = Date.now();
+  assert.strictEqual(await thumbs.uploadThumbnail(`${siteUrl}/stalled.png`), null);
+  assert.ok(Date.now() - started < 2500, 'gave up after LINK_TIMEOUT_SECONDS');
+
+  assert.strictEqual(await journaledUploads(), 1);
+});
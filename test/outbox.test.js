@@ -0,0 +1,173 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createBot } = require('..');
+
+const SECRET = 'hook-secret';
+const MAX_ATTEMPTS = 5;
+
+// A webhook receiver that answers each delivery with the next scripted
+// response: a status code, or 'drop' to cut the connection
+const receiver = { server: null, url: null, script: [], requests: [] };
+
+function startReceiver() {
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      const next = receiver.script.shift() ?? 200;
+      if (next === 'drop') return req.socket.destroy();
+      res.writeHead(next);
+      res.end();
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+    resolve();
+  }));
+}
+
+let dir;
+let bot;
+
+function query(sql, params = []) {
+  const db = new sqlite3.Database(path.join(dir, 'bot.db'));
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      db.close();
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+// Rejecting a queue item emits post.rejected, which queues one delivery to the webhook
+let queued = 0;
+async function queueDelivery() {
+  queued++;
+  await query(
+    "INSERT INTO post_queue (id, uri, author, text, status, source) VALUES (?, ?, 'alice.test', 'a cozy game', 'pending', 'search')",
+    [queued, `at://did:plc:alice/app.bsky.feed.post/${queued}`]
+  );
+  await bot.runCli('reject', [String(queued), '--by', 'tester']);
+  const [item] = await query('SELECT * FROM outbox ORDER BY id DESC LIMIT 1');
+  return item;
+}
+
+async function outboxItem(id) {
+  const [item] = await query('SELECT * FROM outbox WHERE id = ?', [id]);
+  return item;
+}
+
+// Runs the outbox as if the retry delay had passed
+async function deliverNow(id) {
+  await query('UPDATE outbox SET next_attempt_at = 0 WHERE id = ?', [id]);
+  await bot.deliverOutbox();
+  return await outboxItem(id);
+}
+
+before(async () => {
+  await startReceiver();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-outbox-'));
+  fs.writeFileSync(path.join(dir, 'webhooks.json'), JSON.stringify({
+    webhooks: [{ name: 'stub', url: receiver.url, secret: SECRET, events: ['post.rejected'] }]
+  }));
+  bot = createBot({
+    name: 'outbox',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      OUTBOX_MAX_ATTEMPTS: String(MAX_ATTEMPTS)
+    }
+  });
+  await bot.initDatabase();
+});
+
+after(() => {
+  bot.close();
+  receiver.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('deliveries are signed over the timestamp and body', async () => {
+  receiver.requests = [];
+  const item = await queueDelivery();
+  assert.strictEqual(item.status, 'pending');
+  assert.match(item.idempotency_key, /^webhook:stub:/);
+
+  await bot.deliverOutbox();
+  const [{ headers, body }] = receiver.requests;
+  assert.strictEqual(headers['idempotency-key'], item.idempotency_key);
+  assert.strictEqual(headers['x-spotlight-event'], 'post.rejected');
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-spotlight-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-spotlight-signature'], `sha256=${expected}`);
+  assert.strictEqual(JSON.parse(body).data.reason, 'rejected in review');
+
+  const delivered = await outboxItem(item.id);
+  assert.strictEqual(delivered.status, 'delivered');
+  assert.strictEqual(delivered.attempts, 1);
+});
+
+test('408, 429, 5xx and network errors are retried with growing delays under the same key', async () => {
+  receiver.requests = [];
+  receiver.script = [408, 429, 503, 'drop', 200];
+  const item = await queueDelivery();
+
+  const delays = [];
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const started = Date.now();
+    const retried = await deliverNow(item.id);
+    assert.strictEqual(retried.status, 'pending');
+    assert.strictEqual(retried.attempts, attempt);
+    delays.push(Math.round((retried.next_attempt_at - started) / 1000));
+  }
+  assert.deepStrictEqual(delays, [60, 120, 240, 480]);
+  assert.strictEqual((await outboxItem(item.id)).last_status, null); // the dropped connection
+
+  const delivered = await deliverNow(item.id);
+  assert.strictEqual(delivered.status, 'delivered');
+  assert.strictEqual(delivered.attempts, 5);
+
+  assert.strictEqual(receiver.requests.length, 5);
+  assert.deepStrictEqual(new Set(receiver.requests.map(r => r.headers['idempotency-key'])), new Set([item.idempotency_key]));
+  assert.strictEqual(new Set(receiver.requests.map(r => r.body)).size, 1);
+});
+
+test('other 4xx responses fail the delivery without a retry', async () => {
+  receiver.script = [400];
+  const item = await queueDelivery();
+  await bot.deliverOutbox();
+
+  const failed = await outboxItem(item.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.attempts, 1);
+  assert.strictEqual(failed.last_status, 400);
+});
+
+test('a delivery that keeps failing is dead-lettered after OUTBOX_MAX_ATTEMPTS', async () => {
+  receiver.requests = [];
+  receiver.script = Array(MAX_ATTEMPTS).fill(500);
+  const item = await queueDelivery();
+
+  await bot.deliverOutbox();
+  for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) await deliverNow(item.id);
+
+  const failed = await outboxItem(item.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.attempts, MAX_ATTEMPTS);
+  assert.strictEqual(failed.last_status, 500);
+
+  // nothing due any more
+  await deliverNow(item.id);
+  assert.strictEqual(receiver.requests.length, MAX_ATTEMPTS);
+});
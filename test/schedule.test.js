@@ -0,0 +1,81 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('..');
+
+let dir;
+let bot;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-schedule-'));
+  bot = createBot({
+    name: 'schedule',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json')
+    }
+  });
+});
+
+after(() => {
+  bot.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// zonedParts-shaped time: 0 = Sunday
+const at = (weekday, hour, minute = 0) => ({ weekday, hour, minute });
+
+test('windows apply on their days only, end exclusive', () => {
+  const { windows } = bot.compileJobSchedule('post', { windows: { 'mon-fri': ['08:00-22:00'] } });
+  assert.strictEqual(bot.inWindows(windows, at(1, 8)), true);
+  assert.strictEqual(bot.inWindows(windows, at(5, 21, 59)), true);
+  assert.strictEqual(bot.inWindows(windows, at(5, 22)), false);
+  assert.strictEqual(bot.inWindows(windows, at(1, 7, 59)), false);
+  assert.strictEqual(bot.inWindows(windows, at(6, 12)), false);
+});
+
+test('a range that ends before it starts runs past midnight', () => {
+  const { windows } = bot.compileJobSchedule('post', { windows: { '*': ['22:00-02:00'] } });
+  assert.strictEqual(bot.inWindows(windows, at(3, 23, 30)), true);
+  assert.strictEqual(bot.inWindows(windows, at(3, 1, 59)), true);
+  assert.strictEqual(bot.inWindows(windows, at(3, 2)), false);
+  assert.strictEqual(bot.inWindows(windows, at(3, 12)), false);
+});
+
+test('24:00 may end a range but not start one', () => {
+  const { windows } = bot.compileJobSchedule('post', { windows: { 'sat,sun': ['18:00-24:00'] } });
+  assert.strictEqual(bot.inWindows(windows, at(0, 23, 59)), true);
+  assert.strictEqual(bot.inWindows(windows, at(0, 0, 0)), false);
+
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { '*': ['24:00-02:00'] } }), /bad time "24:00"/);
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { '*': ['10:00-24:30'] } }), /bad time "24:30"/);
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { '*': ['24:15-10:00'] } }), /bad time "24:15"/);
+});
+
+test('malformed windows, intervals and caps are rejected', () => {
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { '*': ['08:00'] } }), /bad window "08:00"/);
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { '*': ['8-22'] } }), /bad time "8"/);
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { '*': ['08:60-22:00'] } }), /bad time "08:60"/);
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { mon: '08:00-22:00' } }), /windows\.mon must be an array/);
+  assert.throws(() => bot.compileJobSchedule('post', { windows: { funday: ['08:00-22:00'] } }));
+  assert.throws(() => bot.compileJobSchedule('search', { intervalMinutes: 0 }), /jobs\.search\.intervalMinutes must be positive/);
+  assert.throws(() => bot.compileJobSchedule('post', { dailyCap: 1.5 }), /jobs\.post\.dailyCap must be a whole number/);
+});
+
+test('intervals, caps and cron slots compile', () => {
+  const job = bot.compileJobSchedule('post', { intervalMinutes: 30, dailyCap: 8, hourlyCap: 0, slots: ['0 9,17 * * mon-fri'] });
+  assert.strictEqual(job.intervalMs, 30 * 60 * 1000);
+  assert.strictEqual(job.dailyCap, 8);
+  assert.strictEqual(job.hourlyCap, 0);
+  assert.deepStrictEqual([...job.slots[0].hour], [9, 17]);
+  assert.deepStrictEqual([...job.slots[0].dow], [1, 2, 3, 4, 5]);
+  assert.strictEqual(job.slots[0].dom, null);
+
+  assert.throws(() => bot.compileJobSchedule('post', { slots: ['0 24 * * *'] }), /"0 24 \* \* \*": bad range "24"/);
+});
@@ -0,0 +1,178 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { WebSocketServer } = require('ws');
+const { createBot } = require('..');
+
+const REWIND_US = 5 * 1000 * 1000;
+
+// Recorded Jetstream commit events; only the #promote ones are hydrated
+const start = Date.now() * 1000;
+function commitEvent(rkey, text, offsetUs) {
+  return {
+    did: 'did:plc:alice',
+    time_us: start + offsetUs,
+    kind: 'commit',
+    commit: { operation: 'create', collection: 'app.bsky.feed.post', rkey, record: { text } }
+  };
+}
+const recorded = [
+  commitEvent('first', 'Tiny Garden is out today, a cozy gardening game #promote', 1000),
+  commitEvent('chatter', 'lunch was great', 2000),
+  commitEvent('second', 'Pixel Pals 2.0 adds co-op, give it a try #promote', 3000)
+];
+const [first, chatter, second] = recorded;
+const uriOf = event => `at://${event.did}/app.bsky.feed.post/${event.commit.rkey}`;
+
+// Jetstream: the first connection plays the first two events, later ones
+// replay everything after the requested cursor, like the real service
+const jetstream = { server: null, url: null, connections: [] };
+
+function startJetstream() {
+  jetstream.server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  jetstream.server.on('connection', (socket, req) => {
+    const cursor = new URL(req.url, 'http://localhost').searchParams.get('cursor');
+    jetstream.connections.push({ socket, cursor: cursor === null ? null : Number(cursor) });
+    const events = jetstream.connections.length === 1
+      ? [first, chatter]
+      : recorded.filter(event => event.time_us > Number(cursor));
+    for (const event of events) socket.send(JSON.stringify(event));
+  });
+  return new Promise(resolve => jetstream.server.on('listening', () => {
+    jetstream.url = `ws://127.0.0.1:${jetstream.server.address().port}/subscribe`;
+    resolve();
+  }));
+}
+
+// AppView: getPosts answers from the recorded events; `hold` delays the answers
+const appview = { server: null, url: null, requests: [], hold: null };
+
+function postView(event) {
+  const now = new Date().toISOString();
+  return {
+    uri: uriOf(event),
+    cid: 'bafyreie5737gdxlw5i64vzichcalba3z2v5n6icifvx5xytvske7mr3hpm',
+    author: { did: event.did, handle: 'alice.test' },
+    record: { $type: 'app.bsky.feed.post', ...event.commit.record, createdAt: now },
+    indexedAt: now,
+    labels: []
+  };
+}
+
+function startAppview() {
+  appview.server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/xrpc/app.bsky.feed.getPosts') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+    }
+    const uris = url.searchParams.getAll('uris');
+    appview.requests.push(uris);
+    if (appview.hold) await appview.hold;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ posts: recorded.filter(event => uris.includes(uriOf(event))).map(postView) }));
+  });
+  return new Promise(resolve => appview.server.listen(0, '127.0.0.1', () => {
+    appview.url = `http://127.0.0.1:${appview.server.address().port}`;
+    resolve();
+  }));
+}
+
+let dir;
+let bot;
+
+function query(sql) {
+  const db = new sqlite3.Database(path.join(dir, 'bot.db'));
+  return new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => {
+      db.close();
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+async function savedCursor() {
+  const [row] = await query("SELECT cursor FROM ingest_cursors WHERE source = 'jetstream'");
+  return row ? Number(row.cursor) : null;
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+before(async () => {
+  await startJetstream();
+  await startAppview();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-stream-'));
+  fs.writeFileSync(path.join(dir, 'filter-rules.json'), JSON.stringify({
+    threshold: 5,
+    rules: [{ id: 'tag-promote', type: 'hashtag', tags: ['promote'], weight: 10 }]
+  }));
+  bot = createBot({
+    name: 'stream',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      BLUESKY_SERVICE: appview.url,
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      FILTER_RULES_PATH: path.join(dir, 'filter-rules.json'),
+      JETSTREAM_URL: jetstream.url,
+      SEARCH_TERMS: '#promote',
+      LINK_CHECKS: 'false'
+    }
+  });
+  await bot.initDatabase();
+});
+
+after(async () => {
+  await bot.stopStream();
+  bot.close();
+  for (const client of jetstream.server.clients) client.terminate();
+  jetstream.server.close();
+  appview.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('matching posts are hydrated and queued; the cursor waits for them, also across a reconnect', async () => {
+  let release;
+  appview.hold = new Promise(resolve => { release = resolve; });
+
+  assert.strictEqual(await bot.startStream(), true);
+  await waitFor(() => appview.requests.length === 1);
+  assert.deepStrictEqual(appview.requests[0], [uriOf(first)]);
+  assert.strictEqual(jetstream.connections[0].cursor, null);
+
+  // the connection drops while the first post is still being hydrated
+  jetstream.connections[0].socket.terminate();
+  await waitFor(() => jetstream.connections.length === 2);
+  assert.strictEqual(await savedCursor(), first.time_us - 1);
+  assert.strictEqual(jetstream.connections[1].cursor, first.time_us - 1 - REWIND_US);
+
+  // the replayed first post isn't hydrated twice; the new one is
+  release();
+  appview.hold = null;
+  await waitFor(async () => (await query('SELECT id FROM post_queue')).length === 2);
+  assert.deepStrictEqual(appview.requests.slice(1), [[uriOf(second)]]);
+
+  const rows = await query('SELECT uri, source, status FROM post_queue ORDER BY id');
+  assert.deepStrictEqual(rows, [
+    { uri: uriOf(first), source: 'stream:#promote', status: 'pending' },
+    { uri: uriOf(second), source: 'stream:#promote', status: 'pending' }
+  ]);
+
+  // with nothing left to hydrate the cursor catches up with the stream
+  await bot.stopStream();
+  assert.strictEqual(await savedCursor(), second.time_us);
+});
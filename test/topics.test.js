@@ -0,0 +1,105 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('..');
+
+const TOPICS = {
+  fallback: 'software',
+  maxTags: 2,
+  minScore: 2,
+  relativeWeight: 0.4,
+  modelWeight: 4,
+  topics: [
+    {
+      id: 'games',
+      hashtags: ['gamedev', 'pixelart'],
+      keywords: ['game', 'roguelike', 'steam page'],
+      exclude: ['game changer']
+    },
+    { id: 'saas', hashtags: ['saas'], keywords: ['saas', 'mrr', 'customers', 'pricing'] },
+    { id: 'ai', hashtags: ['ai'], keywords: ['llm', 'ai'] },
+    { id: 'software', keywords: ['app'] }
+  ]
+};
+
+// Word counts as `train-topics` writes them: cozy farming posts were games
+const MODEL = {
+  documents: 20,
+  all: { tokens: 60, words: { cozy: 10, farming: 8, invoices: 6, dashboard: 6 } },
+  topics: {
+    games: { documents: 10, tokens: 30, words: { cozy: 10, farming: 8 } },
+    saas: { documents: 10, tokens: 30, words: { invoices: 6, dashboard: 6 } }
+  }
+};
+
+let dir;
+let bot;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-topics-'));
+  fs.writeFileSync(path.join(dir, 'topics.json'), JSON.stringify(TOPICS));
+  bot = createBot({
+    name: 'topics',
+    env: {
+      BLUESKY_USERNAME: 'bot.test',
+      DB_PATH: path.join(dir, 'bot.db'),
+      CONFIG_PATH: path.join(dir, 'config.json'),
+      WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+      TOPICS_PATH: path.join(dir, 'topics.json'),
+      TOPIC_MODEL_PATH: path.join(dir, 'topic-model.json')
+    }
+  });
+});
+
+after(() => {
+  bot.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('keywords and hashtags pick the topic', () => {
+  assert.deepStrictEqual(bot.classifyTopics('My roguelike game finally has a Steam page'), {
+    tag: 'games',
+    tags: [{ topic: 'games', weight: 1, via: ['keywords'] }]
+  });
+  assert.deepStrictEqual(bot.classifyTopics('New build is up #gamedev').tags, [{ topic: 'games', weight: 1, via: ['hashtag'] }]);
+});
+
+test('a single keyword is below minScore and falls back', () => {
+  assert.deepStrictEqual(bot.classifyTopics('Shipped a new app today'), {
+    tag: 'software',
+    tags: [{ topic: 'software', weight: 1, via: ['fallback'] }]
+  });
+});
+
+test('excluded phrases don\'t count as keywords', () => {
+  const result = bot.classifyTopics('This pricing page is a game changer for our customers');
+  assert.deepStrictEqual(result.tags.map(t => t.topic), ['saas']);
+});
+
+test('weaker topics are kept relative to the strongest, up to maxTags', () => {
+  const result = bot.classifyTopics('#gamedev #pixelart my roguelike game now has an LLM narrator, and customers love the pricing #ai');
+  assert.strictEqual(result.tag, 'games');
+  assert.deepStrictEqual(result.tags, [
+    { topic: 'games', weight: 1, via: ['hashtag', 'keywords'] },
+    { topic: 'ai', weight: 0.5, via: ['hashtag', 'keywords'] }
+  ]);
+});
+
+test('a #spotlight: hint always adds its topic', () => {
+  const result = bot.classifyTopics('Our roguelike game, now with a billing dashboard #gamedev #pixelart #spotlight:saas');
+  assert.strictEqual(result.tag, 'saas');
+  assert.deepStrictEqual(result.tags.map(t => [t.topic, t.via]), [['saas', ['hint']], ['games', ['hashtag', 'keywords']]]);
+});
+
+test('a trained model adds topics the keywords miss', () => {
+  assert.strictEqual(bot.classifyTopics('a cozy farming sim about frogs').tag, 'software');
+
+  fs.writeFileSync(path.join(dir, 'topic-model.json'), JSON.stringify(MODEL));
+  const result = bot.classifyTopics('a cozy farming sim about frogs');
+  assert.strictEqual(result.tag, 'games');
+  assert.deepStrictEqual(result.tags[0].via, ['model']);
+});